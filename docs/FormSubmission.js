@@ -2,9 +2,70 @@
 // CONSTANTS & CONFIGURATION
 // =============================================================================
 const CONFIG = {
-  formspreeEndpoint: 'https://formspree.io/f/mqaglzrb',
+  // How the contact form is delivered; see SubmissionTransports. On
+  // localhost, ?transport= and ?endpoint= override these (e.g. to point at
+  // scripts/mock-formspree.js).
+  submission: {
+    transport: 'formspree',
+    // Defaults to the form's action attribute, so the markup and the script
+    // can't point at different endpoints
+    endpoint: null,
+    // Extra request headers for the webhook transport
+    headers: {},
+    // Recipient for the mailto transport
+    mailto: '',
+    // Give up on a request after this long (ms)
+    timeout: 15000,
+    // Network errors, 429 and 5xx are retried with exponential backoff;
+    // a Retry-After longer than maxDelay ends the retries
+    retry: {
+      attempts: 2,
+      baseDelay: 1000,
+      maxDelay: 10000
+    }
+  },
   messageTimeout: 5000,
+  carousel: {
+    // Horizontal distance (px) a touch has to travel to count as a swipe
+    swipeThreshold: 40,
+    // Movement (px) before deciding whether a touch is a swipe or a scroll
+    swipeSlop: 10,
+    // Position UI under each carousel: 'dots', 'thumbnails' or 'none'.
+    // A data-indicators attribute on .image-carousel overrides it.
+    indicators: 'dots',
+    // Show an "3 of 9" counter over the media
+    showCounter: true,
+    // 'fade' or 'slide'; a data-transition attribute on .image-carousel
+    // overrides it. Keep in step with the .carousel-media transition.
+    transition: 'fade',
+    transitionMs: 300,
+    // Longest wait for the next item to decode before showing it anyway
+    readyTimeout: 4000,
+    // Rotation for carousels marked data-autoplay. Per carousel,
+    // data-autoplay-interval (ms) and data-autoplay-pause-on-hover="false"
+    // override these.
+    autoplay: {
+      interval: 5000,
+      minInterval: 2000,
+      pauseOnHover: true
+    }
+  },
+  lightbox: {
+    maxZoom: 4,
+    // Factor per +/- press or zoom button click
+    zoomStep: 1.5,
+    // Zoom a double-click/double-tap jumps to
+    doubleTapZoom: 2.5,
+    doubleTapMs: 300,
+    // Zoom change per pixel of wheel delta (exponential, so it feels even)
+    wheelSensitivity: 0.002
+  },
   pagination: {
+    // Paginator defaults; each instance can override them
+    itemsPerPage: 6,
+    // Page numbers either side of the current one before eliding the rest
+    siblingCount: 1,
+    showFirstLast: true,
     // If true, the grid will auto-scroll into view when changing pages
     scrollOnChange: false,
     scrollBehavior: 'smooth',
@@ -13,6 +74,103 @@ const CONFIG = {
   logging: {
     enabled: false,
     verbose: false
+  },
+  // Commission mode: which optional detail fields each commission type asks
+  // for (matched against data-commission-field in the markup)
+  commission: {
+    types: {
+      'pet-portrait': { label: 'Pet portrait', fields: ['subjects', 'size', 'budget', 'deadline'] },
+      logo: { label: 'Logo', fields: ['budget', 'deadline'] },
+      'wine-label': { label: 'Wine label', fields: ['budget', 'deadline'] },
+      custom: { label: 'Custom piece', fields: ['subjects', 'size', 'budget', 'deadline'] }
+    }
+  },
+  // Reference images on commission requests. Photos are downscaled and
+  // re-encoded in the browser before upload.
+  attachments: {
+    fieldName: 'attachment',
+    maxFiles: 5,
+    maxFileSize: 20 * 1024 * 1024,
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxDimension: 2000,
+    outputType: 'image/jpeg',
+    quality: 0.82
+  },
+  // Anti-spam checks run before anything is sent. Rejections get the same
+  // neutral reply so bots learn nothing from it, except a send that comes
+  // too soon: that may be a person, so the form is kept and they're asked
+  // to send again.
+  spam: {
+    honeypotField: '_gotcha',
+    // Counted from the first focus or keystroke in the form
+    minSubmitTime: 3000,
+    rateLimit: {
+      storageKey: 'jossdraws:contact-sends',
+      maxSubmissions: 3,
+      windowMs: 60 * 60 * 1000
+    },
+    maxLinks: 3,
+    blockedKeywords: ['viagra', 'cialis', 'casino', 'forex', 'backlinks', 'seo services', 'crypto investment', 'loan offer'],
+    neutralMessage: 'Thanks for reaching out! Your message has been received.',
+    tooFastMessage: 'Please take a moment to look over your message, then press Send again.'
+  },
+  // Unsent contact form text survives reloads and tab switches
+  drafts: {
+    storageKey: 'jossdraws:contact-draft',
+    saveDelay: 500,
+    maxAge: 30 * 24 * 60 * 60 * 1000
+  },
+  // Submissions that fail for lack of a connection are kept here and resent
+  // on the `online` event or the next visit
+  offlineQueue: {
+    storageKey: 'jossdraws:contact-queue',
+    // A tab that claimed an entry but never finished (closed mid-send)
+    // releases it after this long
+    claimTimeout: 30000,
+    maxAge: 7 * 24 * 60 * 60 * 1000
+  },
+  // Contact form rules, keyed by field name. Built-in rules: required, email,
+  // minLength, maxLength, pattern; `validate(value, form)` may return an error
+  // string for anything custom. `messages` overrides a rule's default text.
+  validation: {
+    fields: {
+      name: { label: 'Name', required: true, maxLength: 100 },
+      email: { label: 'Email', required: true, email: true, maxLength: 254 },
+      // Commission fields are only checked while enabled (commission mode)
+      commission_type: {
+        label: 'Commission type',
+        required: true,
+        messages: { required: 'Please choose what kind of piece you have in mind.' }
+      },
+      subjects: {
+        label: 'Number of subjects',
+        required: true,
+        validate: (value) => /^\d+$/.test(value) && value >= 1 && value <= 10
+          ? null
+          : 'Number of subjects must be a whole number from 1 to 10.'
+      },
+      budget: {
+        label: 'Budget',
+        required: true,
+        messages: { required: 'Please choose a budget range.' }
+      },
+      deadline: {
+        label: 'Deadline',
+        validate: (value) => {
+          if (!value) return null;
+          return value < localDateString() ? 'Deadline must be today or later.' : null;
+        }
+      },
+      message: {
+        label: 'Message',
+        required: true,
+        minLength: 20,
+        maxLength: 5000,
+        messages: {
+          minLength: 'Please tell me a little more (at least 20 characters).'
+        }
+      }
+    }
   }
 };
 
@@ -56,6 +214,37 @@ const DOM = {
   }
 };
 
+// "Bugs & Blossoms - Coloring Book" -> "bugs-blossoms-coloring-book"
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Short ID for matching replies to submissions, e.g. "JD-261019-7KQ4".
+// The alphabet leaves out look-alikes (0/O, 1/I/L).
+function generateReferenceId(date = new Date()) {
+  const alphabet = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+  const bytes = new Uint8Array(4);
+  if (window.crypto && window.crypto.getRandomValues) {
+    window.crypto.getRandomValues(bytes);
+  } else {
+    bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+  }
+  const suffix = Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+  const stamp = localDateString(date).slice(2).replace(/-/g, '');
+  return `JD-${stamp}-${suffix}`;
+}
+
+// "YYYY-MM-DD" in the visitor's timezone, as used by <input type="date">
+function localDateString(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 // =============================================================================
 // PAGE INITIALIZATION
 // =============================================================================
@@ -73,23 +262,16 @@ function initPageLogging() {
 // HERO LINK HANDLER (Replaces inline onclick)
 // =============================================================================
 const HeroLinkManager = {
+  // The tab switch itself is handled by tabs-router.js via data-tab-target
   init() {
     const heroLink = DOM.getElement('.hero-image-link[data-tab-target]');
     if (!heroLink) return;
     
-    heroLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      const targetTab = heroLink.getAttribute('data-tab-target');
-      const tabInput = DOM.getElement(`#tab-${targetTab}`);
-      
-      if (tabInput) {
-        tabInput.click();
-        
-        Logger.log('Hero Link Clicked', {
-          'Target Tab': targetTab,
-          'Timestamp': new Date().toLocaleTimeString()
-        });
-      }
+    heroLink.addEventListener('click', () => {
+      Logger.log('Hero Link Clicked', {
+        'Target Tab': heroLink.getAttribute('data-tab-target'),
+        'Timestamp': new Date().toLocaleTimeString()
+      });
     });
   }
 };
@@ -98,272 +280,1764 @@ const HeroLinkManager = {
 // TAB NAVIGATION
 // =============================================================================
 const TabManager = {
+  // Routing and hash sync live in tabs-router.js; this only observes tab changes
   init() {
-    this.attachListeners();
-    this.makeLabelsAccessible();
-    this.handleInitialLoad();
-    window.addEventListener('hashchange', () => this.syncToHash());
-  },
-  
-  getTabName(tabId) {
-    return tabId.replace('tab-', '');
+    const router = window.TabRouter;
+    if (!router) {
+      Logger.log('Tab Manager', 'Tab router not found on page');
+      return;
+    }
+    
+    router.on('enter', (detail) => this.handleTabChange(detail));
   },
   
-  getTabId(tabName) {
-    return `tab-${tabName}`;
+  handleTabChange({ from, to }) {
+    Logger.log('Tab Changed', {
+      'From': from ? from.toUpperCase() : '(initial)',
+      'Tab Name': to.toUpperCase(),
+      'Timestamp': new Date().toLocaleTimeString()
+    });
+  }
+};
+
+// =============================================================================
+// FORM VALIDATION
+// =============================================================================
+const FormValidator = {
+  // Each rule returns an error message, or null when the value passes
+  rules: {
+    required(value, enabled, label) {
+      return enabled && !value.trim() ? `${label} is required.` : null;
+    },
+    email(value, enabled) {
+      if (!enabled || !value) return null;
+      return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value.trim())
+        ? null
+        : 'Please enter a valid email address, like name@example.com.';
+    },
+    minLength(value, min, label) {
+      if (!value) return null;
+      return value.trim().length < min ? `${label} must be at least ${min} characters.` : null;
+    },
+    maxLength(value, max, label) {
+      return value.length > max ? `${label} must be ${max} characters or fewer.` : null;
+    },
+    pattern(value, regex, label) {
+      if (!value) return null;
+      return regex.test(value) ? null : `${label} is not in the expected format.`;
+    }
   },
   
-  attachListeners() {
-    DOM.getElements('input[type="radio"][name="tabs"]').forEach(tab => {
-      tab.addEventListener('change', (e) => this.handleTabChange(e));
-    });
+  // Register a reusable rule usable by name in CONFIG.validation
+  addRule(name, fn) {
+    this.rules[name] = fn;
   },
   
-  handleTabChange(event) {
-    if (!event.target.checked) return;
-    
-    const tabId = event.target.id;
-    const tabName = this.getTabName(tabId);
-    
-    // Update the URL hash
-    window.location.hash = tabName;
+  validateField(field, config, form) {
+    const value = field.value || '';
+    const label = config.label || field.name;
+    const messages = config.messages || {};
+    
+    for (const [rule, param] of Object.entries(config)) {
+      const check = this.rules[rule];
+      if (!check) continue;
+      const error = check(value, param, label, form);
+      if (error) return messages[rule] || error;
+    }
     
-    Logger.log('Tab Changed', {
-      'Tab ID': tabId,
-      'Tab Name': tabName.toUpperCase(),
-      'Timestamp': new Date().toLocaleTimeString()
-    });
+    if (typeof config.validate === 'function') {
+      return config.validate(value, form) || null;
+    }
+    return null;
   },
   
-  handleInitialLoad() {
-    if (!this.syncToHash()) {
-      const initialTabId = 'tab-home';
-      const tabToLoad = DOM.getElement(`#${initialTabId}`);
-      if (tabToLoad) {
-        tabToLoad.checked = true;
-      }
-      Logger.log('Initial Tab', {
-        'Tab ID': initialTabId,
-        'Tab Name': this.getTabName(initialTabId).toUpperCase()
-      });
-    }
+  // Disabled fields (including those in a disabled fieldset) aren't submitted,
+  // so they aren't validated either
+  isActive(field) {
+    return Boolean(field) && !field.matches(':disabled');
   },
+  
+  // Returns [{ field, message }] in document order
+  validateForm(form, fieldConfigs) {
+    return Object.entries(fieldConfigs)
+      .map(([name, config]) => {
+        const field = form.elements.namedItem(name);
+        if (!this.isActive(field)) return null;
+        const message = this.validateField(field, config, form);
+        return message ? { field, message } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.field.compareDocumentPosition(b.field) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  }
+};
 
-  // Sync tab selection to current URL hash.
-  // Supports direct tab names (e.g., #contact) and anchors within sections (e.g., #contact-heading).
-  syncToHash() {
-    const rawHash = window.location.hash.replace('#', '');
-    if (!rawHash) return false;
-
-    // Direct match to tab name
-    const directTab = DOM.getElement(`#tab-${rawHash}`);
-    if (directTab) {
-      directTab.checked = true;
-      return true;
-    }
+// =============================================================================
+// SUBMISSION TRANSPORTS
+// =============================================================================
+// `kind` drives what the visitor is told: 'timeout', 'network',
+// 'rejected' (4xx), 'rate-limited' (429), 'server' (5xx) or 'failed'
+// (a non-network transport)
+class SubmissionError extends Error {
+  constructor(message, kind, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.kind = kind;
+    this.status = status;
+    this.cause = cause;
+  }
+}
 
-    // Anchor inside a tab section
-    const target = DOM.getElement(`#${rawHash}`);
-    if (target) {
-      const section = target.closest('section');
-      if (section && section.classList) {
-        const tabClass = Array.from(section.classList).find(c => c.startsWith('tab-'));
-        if (tabClass) {
-          const input = DOM.getElement(`#${tabClass}`);
-          if (input) {
-            input.checked = true;
-            return true;
+// A transport delivers the contact form's FormData. `send(formData, options)`
+// resolves with a fetch Response (or something shaped like one) and should
+// pass `options.signal` on to fetch so timeouts can abort it; `network`
+// says whether it needs a connection, which decides if offline submissions
+// can be queued and failed requests retried.
+const SubmissionTransports = {
+  transports: {
+    // Formspree's AJAX API: multipart POST, JSON reply; 4xx bodies carry
+    // { errors: [{ field, code, message }] }
+    formspree: {
+      network: true,
+      send(formData, { endpoint, signal }) {
+        return fetch(endpoint, {
+          method: 'POST',
+          body: formData,
+          signal,
+          headers: {
+            'Accept': 'application/json'
+          }
+        });
+      }
+    },
+    
+    // Any endpoint that takes JSON. Text fields only; attachments are
+    // listed by name because they can't travel in a JSON body.
+    webhook: {
+      network: true,
+      send(formData, { endpoint, headers, signal }) {
+        const payload = {};
+        const attachments = [];
+        formData.forEach((value, key) => {
+          if (typeof value !== 'string') {
+            attachments.push(value.name);
+          } else if (key in payload) {
+            payload[key] = [].concat(payload[key], value);
+          } else {
+            payload[key] = value;
+          }
+        });
+        if (attachments.length) payload.attachments = attachments;
+        
+        return fetch(endpoint, {
+          method: 'POST',
+          body: JSON.stringify(payload),
+          signal,
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            ...headers
           }
+        });
+      }
+    },
+    
+    // Hands the message to the visitor's email app; nothing is sent from
+    // the page, so there is no server response to wait for
+    mailto: {
+      network: false,
+      successMessage: 'Your email app should now open with your message ready to send.',
+      send(formData, { mailto }) {
+        if (!mailto) {
+          return Promise.reject(new Error('No mailto address configured'));
         }
+        
+        const skip = new Set(['_subject', CONFIG.spam.honeypotField]);
+        const lines = [];
+        formData.forEach((value, key) => {
+          if (skip.has(key) || typeof value !== 'string' || !value) return;
+          lines.push(key === 'message' ? `\n${value}` : `${key}: ${value}`);
+        });
+        
+        const subject = formData.get('_subject') || 'Message from the Jossdraws website';
+        const query = `subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+        window.location.href = `mailto:${mailto}?${query}`;
+        
+        return Promise.resolve(new Response(null, { status: 204 }));
       }
     }
-    return false;
   },
   
-  makeLabelsAccessible() {
-    DOM.getElements('label[for^="tab-"]').forEach(label => {
-      label.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          const targetInput = DOM.getElement(`#${label.getAttribute('for')}`);
-          if (targetInput) {
-            targetInput.click();
-            targetInput.checked = true; // Ensure state is set
-          }
-        }
-      });
-    });
+  addTransport(name, transport) {
+    this.transports[name] = transport;
+  },
+  
+  isLocalhost() {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+  },
+  
+  // Returns { name, transport, options } for the configured transport
+  resolve(form) {
+    let { transport: name, endpoint, headers, mailto } = CONFIG.submission;
+    
+    if (this.isLocalhost()) {
+      const params = new URLSearchParams(window.location.search);
+      name = params.get('transport') || name;
+      endpoint = params.get('endpoint') || endpoint;
+    }
+    
+    if (!this.transports[name]) {
+      Logger.error('Submission Transport', new Error(`Unknown transport "${name}", using formspree`));
+      name = 'formspree';
+    }
+    
+    return {
+      name,
+      transport: this.transports[name],
+      options: {
+        endpoint: endpoint || (form && form.getAttribute('action')) || '',
+        headers,
+        mailto
+      }
+    };
   }
 };
 
 // =============================================================================
-// FORM HANDLING
+// SPAM PROTECTION
 // =============================================================================
-const FormManager = {
-  form: null,
-  messageDiv: null,
-  
-  init() {
-    this.form = DOM.getElement('#contact-form');
-    this.messageDiv = DOM.getElement('#form-message');
-    
-    if (!this.form) {
-      Logger.log('Form Manager', 'Contact form not found on page');
-      return;
-    }
-    
-    this.attachListeners();
-    this.attachInputLoggers();
-  },
-  
-  attachListeners() {
-    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-  },
+const SpamGuard = {
+  // Set by the visitor's first focus or keystroke in the form rather than
+  // at page load, so a draft restored on reload isn't already "old"
+  readyAt: null,
   
-  attachInputLoggers() {
-    const inputs = this.form.querySelectorAll('input, textarea');
-    
-    inputs.forEach(input => {
-      input.addEventListener('focus', () => {
-        Logger.log('User Input', {
-          'Field Focused': input.id || input.name,
-          'Field Type': input.type || 'textarea'
-        });
-      });
-      
-      input.addEventListener('blur', () => {
-        Logger.log('Field Completed', {
-          'Field': input.id || input.name,
-          'Value Length': `${input.value.length} characters`,
-          'Is Valid': input.checkValidity()
-        });
-      });
+  init(form) {
+    const start = () => {
+      if (this.readyAt === null) this.readyAt = Date.now();
+    };
+    form.addEventListener('focusin', start);
+    form.addEventListener('input', start);
+    // A fresh form (after a send) gets a fresh timer
+    form.addEventListener('reset', () => {
+      this.readyAt = null;
     });
   },
   
-  async handleSubmit(event) {
-    event.preventDefault();
+  // Returns null when the submission looks legitimate, otherwise the name
+  // of the check that rejected it (for logging only)
+  check(formData) {
+    const { honeypotField, minSubmitTime, maxLinks, blockedKeywords } = CONFIG.spam;
     
-    const formData = new FormData(this.form);
+    if (String(formData.get(honeypotField) || '').trim()) return 'honeypot';
+    if (this.readyAt === null || Date.now() - this.readyAt < minSubmitTime) return 'too-fast';
+    if (this.isRateLimited()) return 'rate-limit';
     
-    this.logSubmissionStart(formData);
-    this.showMessage('Sending your message...', 'info');
+    const name = String(formData.get('name') || '');
+    const message = String(formData.get('message') || '');
+    const countLinks = (text) => (text.match(/\b(?:https?:\/\/|www\.)\S+/gi) || []).length;
+    
+    if (countLinks(name) > 0) return 'link-in-name';
+    if (countLinks(message) > maxLinks) return 'too-many-links';
+    
+    const text = `${name} ${message}`.toLowerCase();
+    const keyword = blockedKeywords.find(word => new RegExp(`\\b${word}\\b`).test(text));
+    if (keyword) return 'keyword';
     
+    return null;
+  },
+  
+  readSends() {
     try {
-      const response = await this.submitForm(formData);
-      await this.handleResponse(response);
-    } catch (error) {
-      this.handleError(error);
+      const sends = JSON.parse(localStorage.getItem(CONFIG.spam.rateLimit.storageKey));
+      return Array.isArray(sends) ? sends : [];
+    } catch (_) {
+      return [];
     }
   },
   
-  logSubmissionStart(formData) {
-    Logger.log('Form Submission Started', {
-      'Name': formData.get('name'),
-      'Email': formData.get('email'),
-      'Message Length': `${formData.get('message').length} characters`,
-      'Timestamp': new Date().toLocaleString()
-    });
+  recentSends() {
+    const cutoff = Date.now() - CONFIG.spam.rateLimit.windowMs;
+    return this.readSends().filter(time => time > cutoff);
+  },
+  
+  isRateLimited() {
+    return this.recentSends().length >= CONFIG.spam.rateLimit.maxSubmissions;
   },
   
-  async submitForm(formData) {
-    return fetch(CONFIG.formspreeEndpoint, {
-      method: 'POST',
-      body: formData,
-      headers: {
-        'Accept': 'application/json'
+  // Counts a send toward the limit; persisted so reloading doesn't reset it
+  recordSend() {
+    try {
+      localStorage.setItem(
+        CONFIG.spam.rateLimit.storageKey,
+        JSON.stringify([...this.recentSends(), Date.now()])
+      );
+    } catch (_) {
+      // Storage unavailable (private mode); the other checks still apply
+    }
+  }
+};
+
+// =============================================================================
+// DRAFTS
+// =============================================================================
+const DraftStore = {
+  // Stored as { fields, savedAt }
+  read() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(CONFIG.drafts.storageKey));
+      if (!draft || typeof draft.fields !== 'object') return null;
+      if (Date.now() - draft.savedAt > CONFIG.drafts.maxAge) {
+        this.clear();
+        return null;
       }
-    });
+      return draft;
+    } catch (_) {
+      return null;
+    }
   },
   
-  async handleResponse(response) {
-    Logger.log('Form Response Received', {
-      'Status Code': response.status,
-      'Status Text': response.statusText,
-      'Response Time': new Date().toLocaleTimeString()
-    });
-    
-    if (response.ok) {
-      this.handleSuccess();
-      return;
+  write(fields) {
+    try {
+      localStorage.setItem(CONFIG.drafts.storageKey, JSON.stringify({ fields, savedAt: Date.now() }));
+    } catch (error) {
+      Logger.error('Draft Save', error);
     }
+  },
+  
+  clear() {
+    try {
+      localStorage.removeItem(CONFIG.drafts.storageKey);
+    } catch (_) { /* ignore */ }
+  }
+};
 
-    // Graceful fallback: try JSON, then text, then generic
-    let message = 'Form submission failed';
+// =============================================================================
+// OFFLINE QUEUE
+// =============================================================================
+const SubmissionQueue = {
+  // Entries: { id, fields, queuedAt, claimedAt }
+  read() {
     try {
-      const data = await response.json();
-      message = data.error || data.message || message;
+      const entries = JSON.parse(localStorage.getItem(CONFIG.offlineQueue.storageKey));
+      return Array.isArray(entries) ? entries : [];
     } catch (_) {
-      try {
-        const text = await response.text();
-        if (text) message = text;
-      } catch (_) { /* ignore */ }
+      return [];
     }
-    throw new Error(message);
   },
   
-  handleSuccess() {
-    this.showMessage('Thank you! Your message has been sent successfully.', 'success');
-    this.form.reset();
-    
-    Logger.log('Form Submission Successful', {
-      'Status': '✅ Success',
-      'Form Cleared': true
-    });
-    
-    this.clearMessageAfterDelay();
+  write(entries) {
+    try {
+      if (entries.length) {
+        localStorage.setItem(CONFIG.offlineQueue.storageKey, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(CONFIG.offlineQueue.storageKey);
+      }
+      return true;
+    } catch (error) {
+      Logger.error('Submission Queue', error);
+      return false;
+    }
   },
   
-  handleError(error) {
-    this.showMessage('Oops! There was a problem sending your message. Please try again.', 'error');
-    Logger.error('Form Submission', error);
+  // The queued entry holding the same message, if any. Each press of send
+  // gets its own reference ID, which `_subject` repeats, so both are left
+  // out of the comparison.
+  find(fields) {
+    const fingerprint = ({ reference, _subject, ...rest }) => JSON.stringify(rest);
+    return this.read().find(entry => fingerprint(entry.fields) === fingerprint(fields)) || null;
   },
   
-  showMessage(text, type) {
-    if (!this.messageDiv) return;
-    
-    const colors = {
-      info: { border: '#666', text: '#666' },
-      success: { border: '#28a745', text: '#28a745' },
-      error: { border: '#dc3545', text: '#dc3545' }
+  // Returns the stored entry, or null if storage is unavailable. Pressing
+  // send twice while offline stores the message once.
+  add(fields) {
+    const existing = this.find(fields);
+    if (existing) return existing;
+    
+    const entries = this.read();
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      fields,
+      queuedAt: Date.now(),
+      claimedAt: null
     };
-    
-    const color = colors[type] || colors.info;
-    
-    this.messageDiv.innerHTML = `
-      <p class="form-message" style="border-color: ${color.border}; color: ${color.text};">
-        ${text}
-      </p>
-    `;
+    return this.write([...entries, entry]) ? entry : null;
   },
   
-  clearMessageAfterDelay() {
-    setTimeout(() => {
-      if (this.messageDiv) {
-        this.messageDiv.innerHTML = '';
-        Logger.log('Form Message', 'Message cleared after timeout');
-      }
-    }, CONFIG.messageTimeout);
+  remove(id) {
+    this.write(this.read().filter(entry => entry.id !== id));
+  },
+  
+  // Marks an entry as being sent so another tab (or a second `online`
+  // event) doesn't send it too. Returns false if someone else holds it.
+  claim(id) {
+    const entries = this.read();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return false;
+    if (entry.claimedAt && Date.now() - entry.claimedAt < CONFIG.offlineQueue.claimTimeout) {
+      return false;
+    }
+    entry.claimedAt = Date.now();
+    return this.write(entries);
+  },
+  
+  release(id) {
+    const entries = this.read();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+    entry.claimedAt = null;
+    this.write(entries);
+  },
+  
+  pending() {
+    const cutoff = Date.now() - CONFIG.offlineQueue.maxAge;
+    const entries = this.read();
+    const fresh = entries.filter(entry => entry.queuedAt >= cutoff);
+    if (fresh.length !== entries.length) {
+      Logger.log('Submission Queue', { 'Expired Entries': entries.length - fresh.length });
+      this.write(fresh);
+    }
+    return fresh;
   }
 };
 
 // =============================================================================
-// CAROUSEL MANAGEMENT
+// ATTACHMENTS
 // =============================================================================
-const CarouselManager = {
-  carousels: [],
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const AttachmentManager = {
+  input: null,
+  dropzone: null,
+  list: null,
+  errorEl: null,
+  items: [],
+  pending: Promise.resolve(),
+  nextId: 0,
   
-  init() {
-    const carouselElements = DOM.getElements('.image-carousel');
+  init(form) {
+    this.input = form.querySelector('input[type="file"]#attachments');
+    if (!this.input) return;
+    
+    this.dropzone = form.querySelector('.attachment-dropzone');
+    this.list = form.querySelector('.attachment-list');
+    
+    this.errorEl = document.createElement('p');
+    this.errorEl.className = 'field-error';
+    this.errorEl.id = 'attachments-error';
+    this.errorEl.hidden = true;
+    (this.dropzone || this.input).after(this.errorEl);
+    const describedBy = (this.input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    this.input.setAttribute('aria-describedby', [...describedBy, this.errorEl.id].join(' '));
+    
+    this.attachListeners(form);
+  },
+  
+  attachListeners(form) {
+    this.input.addEventListener('change', () => {
+      this.add(this.input.files);
+      // Clear so picking the same file again still fires `change`
+      this.input.value = '';
+    });
     
-    if (carouselElements.length === 0) {
-      Logger.log('Carousel Manager', 'No carousels found on page');
-      return;
+    if (this.dropzone) {
+      ['dragenter', 'dragover'].forEach(type => {
+        this.dropzone.addEventListener(type, (e) => {
+          if (this.input.matches(':disabled')) return;
+          e.preventDefault();
+          this.dropzone.classList.add('is-dragover');
+        });
+      });
+      ['dragleave', 'drop'].forEach(type => {
+        this.dropzone.addEventListener(type, () => this.dropzone.classList.remove('is-dragover'));
+      });
+      this.dropzone.addEventListener('drop', (e) => {
+        if (this.input.matches(':disabled')) return;
+        e.preventDefault();
+        if (e.dataTransfer) this.add(e.dataTransfer.files);
+      });
     }
     
-    Logger.log('Initializing Carousels', {
-      'Count': carouselElements.length
-    });
+    if (this.list) {
+      this.list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-attachment]');
+        if (button) this.remove(Number(button.dataset.removeAttachment));
+      });
+    }
+    
+    form.addEventListener('reset', () => this.clear());
+  },
+  
+  // Checks limits up front, then processes accepted files one at a time
+  add(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return this.pending;
+    
+    const { maxFiles, maxFileSize, acceptedTypes } = CONFIG.attachments;
+    const errors = [];
+    let slots = maxFiles - this.items.length;
+    
+    const accepted = files.filter(file => {
+      if (!acceptedTypes.includes(file.type)) {
+        errors.push(`${file.name} isn't a supported image. Please use JPEG, PNG or WebP.`);
+        return false;
+      }
+      if (file.size > maxFileSize) {
+        errors.push(`${file.name} is ${formatBytes(file.size)}; the limit is ${formatBytes(maxFileSize)} per image.`);
+        return false;
+      }
+      if (slots <= 0) {
+        errors.push(`${file.name} wasn't added. You can attach up to ${maxFiles} images.`);
+        return false;
+      }
+      slots--;
+      return true;
+    });
+    
+    this.showErrors(errors);
+    
+    accepted.forEach(file => {
+      const item = { id: this.nextId++, name: file.name, file: null, url: null, processing: true };
+      this.items.push(item);
+      this.pending = this.pending.then(() => this.process(item, file));
+    });
+    this.render();
+    
+    return this.pending;
+  },
+  
+  async process(item, file) {
+    try {
+      item.file = await this.resize(file);
+    } catch (error) {
+      // Undecodable images are dropped rather than sent as-is
+      Logger.error('Attachment Processing', error);
+      this.items = this.items.filter(i => i !== item);
+      this.showErrors([`${file.name} couldn't be read as an image.`]);
+      this.render();
+      return;
+    }
+    
+    // Removed while it was processing
+    if (!this.items.includes(item)) return;
+    
+    item.processing = false;
+    item.url = URL.createObjectURL(item.file);
+    this.render();
+    
+    Logger.log('Attachment Added', {
+      'File': file.name,
+      'Original Size': formatBytes(file.size),
+      'Upload Size': formatBytes(item.file.size)
+    });
+  },
+  
+  // Scales the image down to CONFIG.attachments.maxDimension and re-encodes
+  // it; the original is kept when that wouldn't make it any smaller
+  async resize(file) {
+    const { maxDimension, outputType, quality } = CONFIG.attachments;
+    const image = await this.loadImage(file);
+    const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return file;
+    
+    // JPEG has no alpha; flatten transparent PNGs onto white, not black
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, outputType, quality));
+    if (!blob || (scale === 1 && blob.size >= file.size)) return file;
+    
+    const name = `${file.name.replace(/\.[^.]+$/, '')}.jpg`;
+    return new File([blob], name, { type: outputType, lastModified: file.lastModified });
+  },
+  
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Could not decode ${file.name}`));
+      };
+      image.src = url;
+    });
+  },
+  
+  remove(id) {
+    const item = this.items.find(i => i.id === id);
+    if (!item) return;
+    if (item.url) URL.revokeObjectURL(item.url);
+    this.items = this.items.filter(i => i !== item);
+    this.showErrors([]);
+    this.render();
+    if (this.input) this.input.focus();
+  },
+  
+  clear() {
+    this.items.forEach(item => item.url && URL.revokeObjectURL(item.url));
+    this.items = [];
+    this.showErrors([]);
+    this.render();
+  },
+  
+  render() {
+    if (!this.list) return;
+    this.list.innerHTML = '';
+    
+    this.items.forEach(item => {
+      const li = document.createElement('li');
+      li.className = 'attachment-item';
+      
+      if (item.processing) {
+        li.classList.add('is-processing');
+        const placeholder = document.createElement('span');
+        placeholder.className = 'attachment-thumb';
+        li.appendChild(placeholder);
+      } else {
+        const thumb = document.createElement('img');
+        thumb.className = 'attachment-thumb';
+        thumb.src = item.url;
+        thumb.alt = '';
+        li.appendChild(thumb);
+      }
+      
+      const info = document.createElement('span');
+      info.className = 'attachment-info';
+      info.textContent = item.processing
+        ? `${item.name} (preparing…)`
+        : `${item.file.name} (${formatBytes(item.file.size)})`;
+      li.appendChild(info);
+      
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'attachment-remove';
+      button.dataset.removeAttachment = item.id;
+      button.setAttribute('aria-label', `Remove ${item.name}`);
+      button.textContent = '×';
+      li.appendChild(button);
+      
+      this.list.appendChild(li);
+    });
+  },
+  
+  showErrors(errors) {
+    if (!this.errorEl) return;
+    this.errorEl.textContent = errors.join(' ');
+    this.errorEl.hidden = errors.length === 0;
+  },
+  
+  // Adds the processed images to a submission once any still being
+  // prepared are done. Nothing is attached while the field is disabled.
+  async appendTo(formData) {
+    if (!this.input || this.input.matches(':disabled')) return;
+    await this.pending;
+    this.items.forEach(item => {
+      if (item.file) formData.append(CONFIG.attachments.fieldName, item.file, item.file.name);
+    });
+  }
+};
+
+// =============================================================================
+// FORM HANDLING
+// =============================================================================
+const FormManager = {
+  form: null,
+  messageDiv: null,
+  errorSummary: null,
+  flushing: false,
+  mode: 'general',
+  delivery: null,
+  draftTimer: null,
+  draftNotice: null,
+  reference: null,
+  prefilledMessage: '',
+  submitting: false,
+  confirmation: null,
+  lastSummary: null,
+  
+  init() {
+    this.form = DOM.getElement('#contact-form');
+    this.messageDiv = DOM.getElement('#form-message');
+    
+    if (!this.form) {
+      Logger.log('Form Manager', 'Contact form not found on page');
+      return;
+    }
+    
+    this.delivery = SubmissionTransports.resolve(this.form);
+    Logger.log('Submission Transport', {
+      'Transport': this.delivery.name,
+      'Endpoint': this.delivery.options.endpoint || '(none)'
+    });
+    
+    this.setupValidation();
+    this.setupCommissionMode();
+    AttachmentManager.init(this.form);
+    SpamGuard.init(this.form);
+    this.setupReference();
+    this.setupDrafts();
+    this.setupConfirmation();
+    this.attachListeners();
+    this.attachInputLoggers();
+    this.flushQueue();
+  },
+  
+  // Autosave what the visitor types; restore it on the next visit with a
+  // notice offering to throw it away
+  setupDrafts() {
+    ['input', 'change'].forEach(type => {
+      this.form.addEventListener(type, () => this.scheduleDraftSave());
+    });
+    
+    // Don't lose the last keystrokes to the debounce when leaving the page
+    window.addEventListener('pagehide', () => {
+      if (this.draftTimer) this.saveDraft();
+    });
+    
+    // Sent, queued or discarded: either way the draft is done with
+    this.form.addEventListener('reset', () => {
+      clearTimeout(this.draftTimer);
+      this.draftTimer = null;
+      DraftStore.clear();
+      this.hideDraftNotice();
+    });
+    
+    this.restoreDraft();
+  },
+  
+  // Named text fields and choices, plus hidden fields marked data-draft;
+  // the honeypot and files are left out
+  draftFields() {
+    return Array.from(this.form.elements).filter(el =>
+      el.name &&
+      el.name !== CONFIG.spam.honeypotField &&
+      (el.type === 'hidden' ? 'draft' in el.dataset : !['file', 'submit', 'button'].includes(el.type))
+    );
+  },
+  
+  scheduleDraftSave() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(() => this.saveDraft(), CONFIG.drafts.saveDelay);
+  },
+  
+  saveDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+    
+    const fields = {};
+    let hasText = false;
+    this.draftFields().forEach(el => {
+      if (el.type === 'radio' || el.type === 'checkbox') {
+        if (el.checked) fields[el.name] = el.value;
+        return;
+      }
+      fields[el.name] = el.value;
+      if (el.value.trim() && el.tagName !== 'SELECT' && el.type !== 'number') hasText = true;
+    });
+    
+    // Nothing typed is nothing worth restoring
+    if (hasText) {
+      DraftStore.write(fields);
+    } else {
+      DraftStore.clear();
+    }
+  },
+  
+  restoreDraft() {
+    const draft = DraftStore.read();
+    if (!draft) return;
+    
+    this.draftFields().forEach(el => {
+      if (!(el.name in draft.fields)) return;
+      const value = draft.fields[el.name];
+      if (el.type === 'radio' || el.type === 'checkbox') {
+        el.checked = el.value === value;
+      } else {
+        el.value = value;
+      }
+    });
+    
+    // Re-apply commission mode and its type-specific fields
+    const checked = this.form.querySelector('input[name="inquiry_type"]:checked');
+    this.setMode(checked ? checked.value : 'general');
+    this.renderReference();
+    
+    this.showDraftNotice(draft.savedAt);
+    
+    Logger.log('Draft Restored', {
+      'Saved At': new Date(draft.savedAt).toLocaleString(),
+      'Fields': Object.keys(draft.fields).join(', ')
+    });
+  },
+  
+  showDraftNotice(savedAt) {
+    this.hideDraftNotice();
+    
+    const notice = document.createElement('div');
+    notice.className = 'draft-notice';
+    notice.setAttribute('role', 'status');
+    
+    const text = document.createElement('p');
+    const when = new Date(savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    text.textContent = `Restored your unsent draft from ${when}.`;
+    
+    const discard = document.createElement('button');
+    discard.type = 'button';
+    discard.className = 'draft-discard';
+    discard.textContent = 'Discard draft';
+    discard.addEventListener('click', () => this.discardDraft());
+    
+    notice.append(text, discard);
+    (this.errorSummary || this.messageDiv).after(notice);
+    this.draftNotice = notice;
+  },
+  
+  hideDraftNotice() {
+    if (!this.draftNotice) return;
+    this.draftNotice.remove();
+    this.draftNotice = null;
+  },
+  
+  discardDraft() {
+    this.form.reset();
+    Logger.log('Draft Discarded', { 'Timestamp': new Date().toLocaleTimeString() });
+    
+    const first = this.form.querySelector('input:not([type="hidden"]):not([tabindex="-1"]), textarea');
+    if (first) first.focus();
+  },
+  
+  attachListeners() {
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    window.addEventListener('online', () => this.flushQueue());
+  },
+  
+  // Inline errors replace the browser's bubbles; `required` stays in the
+  // markup for visitors without JavaScript
+  setupValidation() {
+    this.form.noValidate = true;
+    
+    this.errorSummary = document.createElement('div');
+    this.errorSummary.className = 'form-error-summary';
+    this.errorSummary.id = 'form-error-summary';
+    this.errorSummary.setAttribute('role', 'alert');
+    this.errorSummary.setAttribute('tabindex', '-1');
+    this.errorSummary.hidden = true;
+    (this.messageDiv || this.form.firstChild).after(this.errorSummary);
+    
+    this.errorSummary.addEventListener('click', (e) => {
+      const link = e.target.closest('a[data-field]');
+      if (!link) return;
+      // Focus the field directly; following the #hash would re-route the page
+      e.preventDefault();
+      const field = this.form.elements.namedItem(link.dataset.field);
+      if (field) field.focus();
+    });
+    
+    Object.entries(CONFIG.validation.fields).forEach(([name, config]) => {
+      const field = this.form.elements.namedItem(name);
+      if (!field) return;
+      
+      const error = document.createElement('p');
+      error.className = 'field-error';
+      error.id = `${field.id || name}-error`;
+      error.hidden = true;
+      field.after(error);
+      
+      const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+      field.setAttribute('aria-describedby', [...describedBy, error.id].join(' '));
+      
+      // Check on blur once something was typed; re-check live after an error
+      field.addEventListener('blur', () => {
+        if (field.value) this.validateField(field, config);
+      });
+      field.addEventListener('input', () => {
+        if (field.getAttribute('aria-invalid') === 'true') this.validateField(field, config);
+      });
+    });
+  },
+  
+  // General messages vs. structured commission requests. The commission
+  // fieldset stays disabled outside commission mode, so its fields are
+  // neither validated nor submitted; #contact/commission opens it directly.
+  setupCommissionMode() {
+    this.commissionFields = this.form.querySelector('.commission-fields');
+    if (!this.commissionFields) return;
+    
+    const deadline = this.form.elements.namedItem('deadline');
+    if (deadline) deadline.min = localDateString();
+    
+    this.form.querySelectorAll('input[name="inquiry_type"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        if (!radio.checked) return;
+        this.setMode(radio.value);
+        this.syncModeRoute();
+      });
+    });
+    
+    const typeSelect = this.form.elements.namedItem('commission_type');
+    if (typeSelect) {
+      typeSelect.addEventListener('change', () => this.updateCommissionFields());
+    }
+    
+    // reset() restores the checked radio but fires before doing so
+    this.form.addEventListener('reset', () => {
+      setTimeout(() => {
+        const checked = this.form.querySelector('input[name="inquiry_type"]:checked');
+        this.setMode(checked ? checked.value : 'general');
+        this.syncModeRoute();
+      }, 0);
+    });
+    
+    // Restored form state (back button, autofill) may already say "commission"
+    const checked = this.form.querySelector('input[name="inquiry_type"]:checked');
+    this.setMode(checked ? checked.value : 'general');
+    
+    if (window.TabRouter) {
+      window.TabRouter.registerTab('contact', {
+        onRoute: (path) => {
+          if (path === 'commission') this.setMode('commission');
+        }
+      });
+    }
+  },
+  
+  setMode(mode) {
+    if (!this.commissionFields) return;
+    this.mode = mode === 'commission' ? 'commission' : 'general';
+    
+    const radio = this.form.querySelector(`input[name="inquiry_type"][value="${this.mode}"]`);
+    if (radio) radio.checked = true;
+    
+    const isCommission = this.mode === 'commission';
+    this.commissionFields.hidden = !isCommission;
+    this.commissionFields.disabled = !isCommission;
+    this.updateCommissionFields();
+    
+    // Drop stale errors from fields that just left the form
+    if (!isCommission) {
+      this.commissionFields.querySelectorAll('[aria-invalid="true"]').forEach(field => {
+        this.setFieldError(field, null);
+      });
+    }
+  },
+  
+  // Keep the URL in step with the toggle without adding history entries
+  syncModeRoute() {
+    const router = window.TabRouter;
+    if (!router || router.current() !== 'contact') return;
+    const path = this.mode === 'commission' ? 'commission' : '';
+    if (router.currentPath() === path) return;
+    router.navigate(path ? `contact/${path}` : 'contact', { replace: true });
+  },
+  
+  // Show only the detail fields that apply to the chosen commission type
+  updateCommissionFields() {
+    const typeSelect = this.form.elements.namedItem('commission_type');
+    const type = typeSelect && CONFIG.commission.types[typeSelect.value];
+    const wanted = type ? type.fields : [];
+    
+    this.commissionFields.querySelectorAll('[data-commission-field]').forEach(wrapper => {
+      const show = wanted.includes(wrapper.dataset.commissionField);
+      wrapper.hidden = !show;
+      wrapper.querySelectorAll('input, select, textarea').forEach(field => {
+        field.disabled = !show;
+        if (!show) this.setFieldError(field, null);
+      });
+    });
+  },
+  
+  // FormData for the current mode. Commission requests and questions about
+  // a specific piece get a descriptive email subject (Formspree's
+  // `_subject`); commissions also carry any reference images.
+  async buildFormData() {
+    const formData = new FormData(this.form);
+    const reference = generateReferenceId();
+    formData.set('reference', reference);
+    
+    let subject = 'New message';
+    if (this.mode === 'commission') {
+      const type = CONFIG.commission.types[formData.get('commission_type')];
+      subject = `Commission request: ${type ? type.label : 'Other'}`;
+      await AttachmentManager.appendTo(formData);
+    } else if (formData.get('reference_title')) {
+      subject = `Question about: ${formData.get('reference_title')}`;
+    }
+    formData.set('_subject', `${subject} [${reference}]`);
+    return formData;
+  },
+  
+  // The gallery piece or shop item an inquiry is about. Its details live in
+  // hidden reference_* fields so they're submitted and autosaved.
+  setupReference() {
+    this.reference = this.form.querySelector('.inquiry-reference');
+    if (!this.reference) return;
+    
+    const remove = this.reference.querySelector('.inquiry-reference-remove');
+    if (remove) {
+      remove.addEventListener('click', () => {
+        this.clearReference();
+        this.saveDraft();
+        const message = this.form.elements.namedItem('message');
+        if (message) message.focus();
+      });
+    }
+    
+    // Hidden inputs keep their value through reset(), so clear them here
+    this.form.addEventListener('reset', () => this.clearReference());
+  },
+  
+  referenceFields() {
+    return Array.from(this.reference.querySelectorAll('input[type="hidden"][name^="reference_"]'));
+  },
+  
+  setReference({ kind = '', id = '', title = '', image = '', url = '' }) {
+    if (!this.reference) return;
+    const values = { kind, id, title, image, url };
+    this.referenceFields().forEach(input => {
+      input.value = values[input.name.replace('reference_', '')] || '';
+    });
+    this.renderReference();
+  },
+  
+  clearReference() {
+    if (!this.reference) return;
+    this.setReference({});
+    this.prefilledMessage = '';
+  },
+  
+  renderReference() {
+    if (!this.reference) return;
+    const field = (name) => this.form.elements.namedItem(`reference_${name}`).value;
+    const title = field('title');
+    
+    this.reference.hidden = !title;
+    if (!title) return;
+    
+    this.reference.querySelector('.inquiry-reference-title').textContent = title;
+    const thumb = this.reference.querySelector('.inquiry-reference-thumb');
+    if (thumb) {
+      thumb.hidden = !field('image');
+      if (field('image')) thumb.src = field('image');
+    }
+  },
+  
+  // Entry point for "Commission something like this" / "Ask about this
+  // item": records the reference, picks the mode and commission type,
+  // suggests a message (without overwriting one the visitor wrote) and
+  // opens the contact tab
+  prefillInquiry({ commissionType = '', message = '', ...reference }) {
+    if (!this.form) return;
+    
+    this.setReference(reference);
+    this.setMode(commissionType ? 'commission' : 'general');
+    
+    const typeSelect = this.form.elements.namedItem('commission_type');
+    if (typeSelect && commissionType && CONFIG.commission.types[commissionType]) {
+      typeSelect.value = commissionType;
+      this.updateCommissionFields();
+    }
+    
+    const messageField = this.form.elements.namedItem('message');
+    if (messageField && message) {
+      const current = messageField.value.trim();
+      if (!current || current === this.prefilledMessage.trim()) {
+        messageField.value = message;
+        this.prefilledMessage = message;
+      }
+    }
+    
+    this.saveDraft();
+    
+    Logger.log('Inquiry Prefilled', {
+      'Kind': reference.kind || '(none)',
+      'Reference': reference.title || reference.id || '(none)',
+      'Commission Type': commissionType || '(none)'
+    });
+    
+    if (window.TabRouter) {
+      window.TabRouter.navigate(commissionType ? 'contact/commission' : 'contact');
+    }
+  },
+  
+  validateField(field, config) {
+    const message = FormValidator.validateField(field, config, this.form);
+    this.setFieldError(field, message);
+    return !message;
+  },
+  
+  setFieldError(field, message) {
+    const error = DOM.getElement(`#${field.id || field.name}-error`);
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+    if (error) {
+      error.textContent = message || '';
+      error.hidden = !message;
+    }
+  },
+  
+  // Validates every configured field; on failure shows the summary and
+  // focuses the first invalid field. Returns true when the form can be sent.
+  validateForm() {
+    const errors = FormValidator.validateForm(this.form, CONFIG.validation.fields);
+    
+    Object.keys(CONFIG.validation.fields).forEach(name => {
+      const field = this.form.elements.namedItem(name);
+      if (!field) return;
+      const error = errors.find(e => e.field === field);
+      this.setFieldError(field, error ? error.message : null);
+    });
+    
+    this.renderErrorSummary(errors);
+    
+    if (errors.length > 0) {
+      errors[0].field.focus();
+      Logger.log('Form Validation', {
+        'Invalid Fields': errors.map(e => e.field.name).join(', ')
+      });
+    }
+    return errors.length === 0;
+  },
+  
+  renderErrorSummary(errors) {
+    if (!this.errorSummary) return;
+    this.errorSummary.innerHTML = '';
+    this.errorSummary.hidden = errors.length === 0;
+    if (errors.length === 0) return;
+    
+    const heading = document.createElement('p');
+    heading.className = 'form-error-summary-title';
+    heading.textContent = errors.length === 1
+      ? 'Please fix 1 problem before sending:'
+      : `Please fix ${errors.length} problems before sending:`;
+    
+    const list = document.createElement('ul');
+    errors.forEach(({ field, message }) => {
+      const li = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${field.id}`;
+      link.dataset.field = field.name;
+      link.textContent = message;
+      li.appendChild(link);
+      list.appendChild(li);
+    });
+    
+    this.errorSummary.append(heading, list);
+  },
+  
+  attachInputLoggers() {
+    const inputs = this.form.querySelectorAll('input, textarea');
+    
+    inputs.forEach(input => {
+      input.addEventListener('focus', () => {
+        Logger.log('User Input', {
+          'Field Focused': input.id || input.name,
+          'Field Type': input.type || 'textarea'
+        });
+      });
+      
+      input.addEventListener('blur', () => {
+        Logger.log('Field Completed', {
+          'Field': input.id || input.name,
+          'Value Length': `${input.value.length} characters`,
+          'Is Valid': input.getAttribute('aria-invalid') !== 'true'
+        });
+      });
+    });
+  },
+  
+  async handleSubmit(event) {
+    event.preventDefault();
+    
+    // Ignore repeat presses while a send is in flight
+    if (this.submitting) return;
+    if (!this.validateForm()) return;
+    
+    this.setSubmitting(true);
+    try {
+      await this.sendSubmission();
+    } finally {
+      this.setSubmitting(false);
+    }
+  },
+  
+  async sendSubmission() {    
+    const formData = await this.buildFormData();
+    
+    this.logSubmissionStart(formData);
+    
+    const spamReason = SpamGuard.check(formData);
+    if (spamReason) {
+      this.handleRejected(spamReason);
+      return;
+    }
+    
+    const needsNetwork = this.delivery.transport.network;
+    if (needsNetwork && navigator.onLine === false && this.queueSubmission(formData)) return;
+    
+    this.showMessage('Sending your message...', 'info');
+    
+    let response;
+    try {
+      response = await this.submitForm(formData, {
+        onRetry: (attempt, total) => {
+          this.showMessage(`Still trying to send your message (attempt ${attempt} of ${total})...`, 'info');
+        }
+      });
+    } catch (error) {
+      // Network errors mean the request never reached the server, so it's
+      // safe to keep for later. A timeout may have been delivered.
+      if (error.kind === 'network' && needsNetwork && this.queueSubmission(formData)) return;
+      this.handleError(error);
+      return;
+    }
+    
+    try {
+      await this.handleResponse(response, formData);
+    } catch (error) {
+      this.handleError(error);
+    }
+  },
+  
+  queueSubmission(formData) {
+    // Images are too large to keep in localStorage
+    if (formData.getAll(CONFIG.attachments.fieldName).length > 0) {
+      this.showMessage("You're offline, and messages with images can't be saved for later. Please try again once you're connected.", 'error');
+      return true;
+    }
+    
+    const fields = {};
+    formData.forEach((value, key) => {
+      if (typeof value === 'string') fields[key] = value;
+    });
+    
+    // A repeat press doesn't count as another send toward the rate limit
+    const duplicate = SubmissionQueue.find(fields);
+    const entry = duplicate || SubmissionQueue.add(fields);
+    if (!entry) return false;
+    if (!duplicate) SpamGuard.recordSend();
+    
+    this.showMessage(`You're offline. Your message is saved and will be sent automatically when you're back online. Your reference: ${fields.reference}.`, 'queued');
+    this.form.reset();
+    
+    Logger.log('Form Submission Queued', {
+      'Queue ID': entry.id,
+      'Queued At': new Date(entry.queuedAt).toLocaleString()
+    });
+    return true;
+  },
+  
+  // Resends queued submissions one at a time. Network failures leave the
+  // entry for the next attempt; a server rejection drops it, except for
+  // rate limiting and 5xx which are worth retrying.
+  async flushQueue() {
+    if (this.flushing || navigator.onLine === false) return;
+    if (!this.delivery.transport.network) return;
+    
+    const entries = SubmissionQueue.pending();
+    if (entries.length === 0) return;
+    
+    this.flushing = true;
+    let sent = 0;
+    
+    try {
+      for (const entry of entries) {
+        if (!SubmissionQueue.claim(entry.id)) continue;
+        
+        const formData = new FormData();
+        Object.entries(entry.fields).forEach(([key, value]) => formData.append(key, value));
+        
+        let response;
+        try {
+          response = await this.submitForm(formData);
+        } catch (error) {
+          SubmissionQueue.release(entry.id);
+          Logger.error('Queued Submission', error);
+          break;
+        }
+        
+        if (response.ok) {
+          SubmissionQueue.remove(entry.id);
+          sent++;
+        } else if (response.status === 429 || response.status >= 500) {
+          SubmissionQueue.release(entry.id);
+          break;
+        } else {
+          SubmissionQueue.remove(entry.id);
+          Logger.error('Queued Submission', new Error(`Rejected with status ${response.status}`));
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+    
+    if (sent > 0) {
+      this.showMessage(sent === 1
+        ? 'Your saved message has been sent. Thank you!'
+        : `Your ${sent} saved messages have been sent. Thank you!`, 'success');
+      this.clearMessageAfterDelay();
+      
+      Logger.log('Queued Submissions Sent', {
+        'Sent': sent,
+        'Remaining': SubmissionQueue.read().length
+      });
+    }
+  },
+  
+  logSubmissionStart(formData) {
+    Logger.log('Form Submission Started', {
+      'Name': formData.get('name'),
+      'Email': formData.get('email'),
+      'Inquiry Type': formData.get('inquiry_type') || 'general',
+      'Commission Type': formData.get('commission_type') || '(none)',
+      'Attachments': formData.getAll(CONFIG.attachments.fieldName).length,
+      'Message Length': `${formData.get('message').length} characters`,
+      'Timestamp': new Date().toLocaleString()
+    });
+  },
+  
+  setSubmitting(submitting) {
+    this.submitting = submitting;
+    this.form.setAttribute('aria-busy', String(submitting));
+    this.form.querySelectorAll('button[type="submit"], input[type="submit"]').forEach(button => {
+      button.disabled = submitting;
+    });
+  },
+  
+  // Sends through the configured transport with a timeout per attempt.
+  // Retries network failures, 429 and 5xx with exponential backoff
+  // (honouring Retry-After). Resolves with the last response; rejects with
+  // a SubmissionError of kind 'timeout' or 'network'.
+  async submitForm(formData, { onRetry = null } = {}) {
+    const { transport, options } = this.delivery;
+    const { timeout, retry } = CONFIG.submission;
+    const attempts = transport.network ? retry.attempts + 1 : 1;
+    
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let failure = null;
+      
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+      
+      try {
+        response = await transport.send(formData, { ...options, signal: controller.signal });
+      } catch (error) {
+        // A timed-out POST may still have been delivered; never resend it
+        if (timedOut) {
+          throw new SubmissionError(`No response after ${timeout / 1000}s`, 'timeout', { cause: error });
+        }
+        failure = new SubmissionError(error.message, transport.network ? 'network' : 'failed', { cause: error });
+      } finally {
+        clearTimeout(timer);
+      }
+      
+      const retryable = failure || response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= attempts) {
+        if (failure) throw failure;
+        return response;
+      }
+      
+      const delay = this.retryDelay(attempt, response);
+      if (delay === null) {
+        if (failure) throw failure;
+        return response;
+      }
+      
+      Logger.log('Form Submission Retry', {
+        'Attempt': `${attempt + 1} of ${attempts}`,
+        'Reason': failure ? failure.message : `Status ${response.status}`,
+        'Delay': `${delay}ms`
+      });
+      
+      await new Promise(resolve => setTimeout(resolve, delay));
+      if (onRetry) onRetry(attempt + 1, attempts);
+    }
+  },
+  
+  // Backoff before retry number `attempt`: Retry-After when the server sent
+  // one, else baseDelay doubling with a little jitter. Null means the
+  // server asked for a longer wait than we're willing to hold the form for.
+  retryDelay(attempt, response) {
+    const { baseDelay, maxDelay } = CONFIG.submission.retry;
+    const header = response && response.headers && response.headers.get('Retry-After');
+    
+    if (header) {
+      const seconds = Number(header);
+      const wait = Number.isFinite(seconds)
+        ? seconds * 1000
+        : new Date(header).getTime() - Date.now();
+      if (Number.isFinite(wait)) {
+        return wait > maxDelay ? null : Math.max(0, wait);
+      }
+    }
+    
+    const backoff = baseDelay * 2 ** (attempt - 1);
+    return Math.min(maxDelay, backoff + Math.round(Math.random() * baseDelay * 0.25));
+  },
+  
+  async handleResponse(response, formData) {
+    Logger.log('Form Response Received', {
+      'Status Code': response.status,
+      'Status Text': response.statusText,
+      'Response Time': new Date().toLocaleTimeString()
+    });
+    
+    if (response.ok) {
+      this.handleSuccess(formData);
+      return;
+    }
+
+    // Graceful fallback: try JSON, then text, then generic
+    let message = `Form submission failed with status ${response.status}`;
+    let text = '';
+    try {
+      text = await response.text();
+    } catch (_) { /* ignore */ }
+    try {
+      const data = JSON.parse(text);
+      if (Array.isArray(data.errors) && data.errors.length) {
+        this.showServerErrors(data.errors);
+        message = data.errors.map(e => e.message).join('; ');
+      } else {
+        message = data.error || data.message || message;
+      }
+    } catch (_) {
+      if (text) message = text;
+    }
+    let kind = 'rejected';
+    if (response.status === 429) kind = 'rate-limited';
+    else if (response.status >= 500) kind = 'server';
+    throw new SubmissionError(message, kind, { status: response.status });
+  },
+  
+  // Formspree field errors ({ field, message }) go next to the field they
+  // belong to, same as client-side validation
+  showServerErrors(errors) {
+    const fieldErrors = errors
+      .map(({ field, message }) => {
+        const config = CONFIG.validation.fields[field];
+        const input = field && this.form.elements.namedItem(field);
+        if (!input || !FormValidator.isActive(input)) return null;
+        const label = (config && config.label) || field;
+        return { field: input, message: `${label} ${message}`.trim() };
+      })
+      .filter(Boolean);
+    
+    fieldErrors.forEach(({ field, message }) => this.setFieldError(field, message));
+    this.renderErrorSummary(fieldErrors);
+  },
+  
+  handleSuccess(formData) {
+    SpamGuard.recordSend();
+    DraftStore.clear();
+    const { successMessage } = this.delivery.transport;
+    const text = successMessage || 'Thank you! Your message has been sent successfully.';
+    
+    // Summarise before reset() empties the fields the labels come from
+    const summary = formData ? this.buildSummary(formData) : null;
+    this.form.reset();
+    
+    if (summary && this.confirmation) {
+      if (this.messageDiv) this.messageDiv.innerHTML = '';
+      this.showConfirmation(formData.get('reference'), summary, text);
+    } else {
+      this.showMessage(text, 'success');
+      this.clearMessageAfterDelay();
+    }
+    
+    Logger.log('Form Submission Successful', {
+      'Status': '✅ Success',
+      'Reference': formData ? formData.get('reference') : '(none)',
+      'Form Cleared': true
+    });
+  },
+  
+  // ---------------------------------------------------------------------------
+  // Confirmation panel: replaces the form after a send with the reference
+  // ID and a copy of what was sent
+  // ---------------------------------------------------------------------------
+  summaryFields: [
+    ['name', 'Name'],
+    ['email', 'Email'],
+    ['inquiry_type', 'Inquiry'],
+    ['commission_type', 'Commission type'],
+    ['subjects', 'Number of subjects'],
+    ['size', 'Size'],
+    ['budget', 'Budget'],
+    ['deadline', 'Needed by'],
+    ['reference_title', 'About'],
+    ['reference_url', 'Link'],
+    ['message', 'Message']
+  ],
+  
+  setupConfirmation() {
+    this.confirmation = DOM.getElement('.form-confirmation');
+    if (!this.confirmation) return;
+    
+    this.confirmation.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-confirmation-action]');
+      if (!button) return;
+      
+      switch (button.dataset.confirmationAction) {
+        case 'copy': this.copySummary(button); break;
+        case 'download': this.downloadSummary(); break;
+        case 'print': window.print(); break;
+        case 'reset': this.hideConfirmation(); break;
+      }
+    });
+  },
+  
+  // [{ label, value }] for the fields that were sent, using the visible
+  // option/radio text rather than raw values
+  buildSummary(formData) {
+    const display = (name, value) => {
+      const field = this.form.elements.namedItem(name);
+      if (field && field.tagName === 'SELECT') {
+        const option = Array.from(field.options).find(o => o.value === value);
+        return option ? option.textContent.trim() : value;
+      }
+      if (field instanceof RadioNodeList) {
+        const radio = Array.from(field).find(r => r.value === value);
+        const label = radio && radio.closest('label');
+        return label ? label.textContent.trim() : value;
+      }
+      return value;
+    };
+    
+    const rows = this.summaryFields
+      .map(([name, label]) => {
+        const value = formData.get(name);
+        return typeof value === 'string' && value.trim()
+          ? { label, value: display(name, value) }
+          : null;
+      })
+      .filter(Boolean);
+    
+    const files = formData.getAll(CONFIG.attachments.fieldName).map(file => file.name);
+    if (files.length) rows.push({ label: 'Attachments', value: files.join(', ') });
+    
+    rows.push({ label: 'Sent', value: new Date().toLocaleString() });
+    return rows;
+  },
+  
+  summaryText() {
+    const { id, rows } = this.lastSummary;
+    return [
+      'Joslynn Losee — message summary',
+      `Reference: ${id}`,
+      '',
+      ...rows.map(({ label, value }) => `${label}: ${value}`)
+    ].join('\n');
+  },
+  
+  showConfirmation(id, rows, intro) {
+    this.lastSummary = { id, rows };
+    
+    this.confirmation.querySelector('.confirmation-intro').textContent = intro;
+    this.confirmation.querySelector('.confirmation-id').textContent = id;
+    
+    const list = this.confirmation.querySelector('.confirmation-summary');
+    list.innerHTML = '';
+    rows.forEach(({ label, value }) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      list.append(dt, dd);
+    });
+    
+    this.form.hidden = true;
+    this.confirmation.hidden = false;
+    document.body.classList.add('has-form-confirmation');
+    
+    const heading = this.confirmation.querySelector('#confirmation-heading');
+    if (heading) heading.focus();
+  },
+  
+  hideConfirmation() {
+    this.confirmation.hidden = true;
+    this.form.hidden = false;
+    document.body.classList.remove('has-form-confirmation');
+    
+    const name = this.form.elements.namedItem('name');
+    if (name) name.focus();
+  },
+  
+  async copySummary(button) {
+    const label = button.textContent;
+    try {
+      await navigator.clipboard.writeText(this.summaryText());
+      button.textContent = 'Copied!';
+    } catch (error) {
+      Logger.error('Copy Summary', error);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => { button.textContent = label; }, 2000);
+  },
+  
+  downloadSummary() {
+    const blob = new Blob([this.summaryText()], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `jossdraws-${this.lastSummary.id}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+  
+  // Looks like a send to whoever submitted it; nothing reaches Formspree.
+  // A too-quick send keeps the form (and its draft) for a second try.
+  handleRejected(reason) {
+    if (reason === 'too-fast') {
+      this.showMessage(CONFIG.spam.tooFastMessage, 'info');
+    } else {
+      this.showMessage(CONFIG.spam.neutralMessage, 'info');
+      this.form.reset();
+    }
+    
+    Logger.log('Form Submission Blocked', {
+      'Reason': reason,
+      'Timestamp': new Date().toLocaleString()
+    });
+    
+    this.clearMessageAfterDelay();
+  },
+  
+  handleError(error) {
+    const messages = {
+      timeout: "The server is taking too long to respond. Your message may still arrive, so please wait a few minutes before sending it again.",
+      network: "You appear to be offline. Please check your connection and try again.",
+      rejected: "Your message couldn't be accepted. Please check your details and try again.",
+      'rate-limited': 'Too many messages have been sent from here recently. Please try again in a little while.',
+      server: 'Oops! There was a problem on our end sending your message. Please try again later.'
+    };
+    const kind = navigator.onLine === false ? 'network' : error.kind;
+    
+    this.showMessage(messages[kind] || 'Oops! There was a problem sending your message. Please try again.', 'error');
+    Logger.error('Form Submission', error);
+  },
+  
+  showMessage(text, type) {
+    if (!this.messageDiv) return;
+    
+    const colors = {
+      info: { border: '#666', text: '#666' },
+      success: { border: '#28a745', text: '#28a745' },
+      error: { border: '#dc3545', text: '#dc3545' },
+      queued: { border: '#b8860b', text: '#8a6508' }
+    };
+    
+    const color = colors[type] || colors.info;
+    
+    this.messageDiv.innerHTML = `
+      <p class="form-message" style="border-color: ${color.border}; color: ${color.text};">
+        ${text}
+      </p>
+    `;
+  },
+  
+  clearMessageAfterDelay() {
+    setTimeout(() => {
+      if (this.messageDiv) {
+        this.messageDiv.innerHTML = '';
+        Logger.log('Form Message', 'Message cleared after timeout');
+      }
+    }, CONFIG.messageTimeout);
+  }
+};
+
+// =============================================================================
+// CONTEXT INQUIRIES
+// =============================================================================
+// Shop cards get an "Ask about this item" button; the gallery (a separate
+// script) asks for the same thing by dispatching `inquiry:prefill` with
+// { kind, id, title, image, url, commissionType, message }.
+const InquiryManager = {
+  init() {
+    document.addEventListener('inquiry:prefill', (e) => FormManager.prefillInquiry(e.detail || {}));
+    this.decorateShopCards();
+  },
+  
+  decorateShopCards() {
+    DOM.getElements('.tab-shop .card').forEach(card => {
+      const content = card.querySelector('.card-content');
+      if (!content || content.querySelector('.card-inquiry')) return;
+      
+      const title = (card.querySelector('h3') || {}).textContent || 'this item';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn card-inquiry';
+      button.textContent = 'Ask about this item';
+      button.setAttribute('aria-label', `Ask about ${title.trim()}`);
+      button.addEventListener('click', () => FormManager.prefillInquiry(this.shopInquiry(card)));
+      content.appendChild(button);
+    });
+  },
+  
+  // Custom portrait listings are really commissions; everything else is a
+  // question about a product
+  shopInquiry(card) {
+    const title = card.querySelector('h3').textContent.trim();
+    const slug = card.dataset.slug || slugify(title);
+    const image = card.querySelector('.media-container img');
+    
+    let commissionType = '';
+    if (slug.includes('pet-portrait')) commissionType = 'pet-portrait';
+    else if (slug.includes('portrait')) commissionType = 'custom';
+    
+    const page = `${window.location.origin}${window.location.pathname}`;
+    return {
+      kind: 'shop',
+      id: slug,
+      title,
+      image: image ? image.currentSrc || image.src : '',
+      url: `${page}#shop/${slug}`,
+      commissionType,
+      message: commissionType
+        ? `Hi! I'd like to order a ${title.toLowerCase()}. `
+        : `Hi! I have a question about "${title}". `
+    };
+  }
+};
+
+// =============================================================================
+// CAROUSEL MANAGEMENT
+// =============================================================================
+const CarouselManager = {
+  carousels: [],
+  
+  init() {
+    const carouselElements = DOM.getElements('.image-carousel');
+    
+    if (carouselElements.length === 0) {
+      Logger.log('Carousel Manager', 'No carousels found on page');
+      return;
+    }
+    
+    Logger.log('Initializing Carousels', {
+      'Count': carouselElements.length
+    });
     
     carouselElements.forEach((element, index) => {
       const carousel = new Carousel(element, index);
@@ -376,6 +2050,20 @@ const CarouselManager = {
       'Total': this.carousels.length,
       'Status': '✅ Ready'
     });
+    
+    // Carousel videos and autoplay only run while the shop tab is showing
+    if (window.TabRouter) {
+      window.TabRouter.registerTab('shop', {
+        onEnter: () => this.carousels.forEach(carousel => {
+          carousel.resumeMedia();
+          carousel.setAutoplayActive(true);
+        }),
+        onLeave: () => this.carousels.forEach(carousel => {
+          carousel.pauseMedia();
+          carousel.setAutoplayActive(false);
+        })
+      });
+    }
   }
 };
 
@@ -386,12 +2074,28 @@ class Carousel {
     this.mediaContainer = element.querySelector('.media-container');
     this.currentIndex = 0;
     this.mediaItems = this.parseMediaData();
+    const firstImg = this.mediaContainer?.querySelector('img');
+    this.firstAlt = firstImg ? firstImg.alt : '';
+    this.productName = (element.getAttribute('aria-label') || '').replace(/^Product images for\s*/i, '').trim();
+    this.indicators = null;
+    this.counter = null;
+    this.status = null;
+    this.caption = null;
+    this.autoplay = null;
+    this.autoplayToggle = null;
+    this.lastSwipeAt = 0;
+    // Image URL -> decode promise for items fetched ahead of time
+    this.preloaded = new Map();
+    this.renderToken = 0;
     
     if (this.isValid()) {
       this.init();
     }
   }
   
+  // data-media is a JSON array whose entries are either a URL string or a
+  // descriptor: { src, type?: 'image' | 'video', alt?, poster?, caption? }.
+  // Both become descriptors; bad entries are reported and skipped.
   parseMediaData() {
     const img = this.mediaContainer?.querySelector('img');
     if (!img) return [];
@@ -399,12 +2103,59 @@ class Carousel {
     const mediaDataAttr = img.getAttribute('data-media');
     if (!mediaDataAttr) return [];
     
+    let entries;
     try {
-      return JSON.parse(mediaDataAttr);
+      entries = JSON.parse(mediaDataAttr);
     } catch (error) {
-      Logger.error(`Carousel ${this.index + 1}`, new Error('Invalid JSON in data-media attribute'));
+      Logger.error(`Carousel ${this.index + 1}`, new Error(`Invalid JSON in data-media attribute: ${error.message}`));
+      return [];
+    }
+    
+    if (!Array.isArray(entries)) {
+      Logger.error(`Carousel ${this.index + 1}`, new Error(`data-media must be an array, got ${typeof entries}`));
       return [];
     }
+    
+    return entries
+      .map((entry, i) => {
+        try {
+          return this.normalizeMediaEntry(entry);
+        } catch (error) {
+          Logger.error(`Carousel ${this.index + 1}`, new Error(`data-media[${i}]: ${error.message}`));
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+  
+  normalizeMediaEntry(entry) {
+    if (typeof entry === 'string') {
+      if (!entry.trim()) throw new Error('empty URL');
+      return { src: entry.trim(), type: this.isVideo(entry) ? 'video' : 'image', alt: '', poster: '', caption: '' };
+    }
+    
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`expected a URL string or an object, got ${JSON.stringify(entry)}`);
+    }
+    if (typeof entry.src !== 'string' || !entry.src.trim()) {
+      throw new Error(`missing "src" in ${JSON.stringify(entry)}`);
+    }
+    if (entry.type !== undefined && entry.type !== 'image' && entry.type !== 'video') {
+      throw new Error(`"type" must be "image" or "video", got ${JSON.stringify(entry.type)}`);
+    }
+    ['alt', 'poster', 'caption'].forEach(key => {
+      if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+        throw new Error(`"${key}" must be a string in ${JSON.stringify(entry)}`);
+      }
+    });
+    
+    return {
+      src: entry.src.trim(),
+      type: entry.type || (this.isVideo(entry.src) ? 'video' : 'image'),
+      alt: entry.alt || '',
+      poster: entry.poster || '',
+      caption: entry.caption || ''
+    };
   }
   
   isValid() {
@@ -418,91 +2169,903 @@ class Carousel {
       return false;
     }
     
-    Logger.log(`Carousel ${this.index + 1}`, {
-      'Status': 'Initialized',
-      'Media Items': this.mediaItems.length
+    Logger.log(`Carousel ${this.index + 1}`, {
+      'Status': 'Initialized',
+      'Media Items': this.mediaItems.length
+    });
+    
+    return true;
+  }
+  
+  init() {
+    // Focusable so the arrow keys (and Enter, for the lightbox) work once the
+    // region is tabbed to
+    if (!this.element.hasAttribute('tabindex')) this.element.tabIndex = 0;
+    this.element.setAttribute('aria-roledescription', 'carousel');
+    this.element.setAttribute('aria-keyshortcuts', 'ArrowLeft ArrowRight Enter');
+    this.attachEventListeners();
+    this.attachKeyboard();
+    this.attachSwipe();
+    this.buildPositionUI();
+    this.setupStage();
+    this.setupAutoplay();
+  }
+  
+  // The markup's first image becomes the first "slide". Once its size is
+  // known the container keeps that aspect ratio, so later items (contained
+  // within it) never make the card jump.
+  setupStage() {
+    this.element.dataset.transition = this.element.dataset.transition || CONFIG.carousel.transition;
+    
+    const first = this.mediaContainer.querySelector('img, video');
+    if (first) {
+      if (this.mediaItems[0]?.alt) first.alt = this.mediaItems[0].alt;
+      first.classList.add('carousel-media', 'is-active');
+      this.whenReady(first).then(() => this.lockAspectRatio(first));
+    }
+    
+    // Fetch the neighbours once someone shows interest, not on page load
+    const warmUp = () => this.preloadNeighbours();
+    ['pointerenter', 'focusin', 'touchstart'].forEach(type => {
+      this.element.addEventListener(type, warmUp, { once: true, passive: true });
+    });
+  }
+  
+  lockAspectRatio(el) {
+    if (this.mediaContainer.classList.contains('has-ratio')) return;
+    const width = el.naturalWidth || el.videoWidth;
+    const height = el.naturalHeight || el.videoHeight;
+    if (!width || !height) return;
+    this.mediaContainer.style.aspectRatio = `${width} / ${height}`;
+    this.mediaContainer.classList.add('has-ratio');
+  }
+  
+  // Resolves once the element can be painted without flashing (decoded
+  // image, first video frame), on error, or after readyTimeout
+  whenReady(el) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, CONFIG.carousel.readyTimeout);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      
+      if (el.tagName === 'VIDEO') {
+        if (el.readyState >= 2) return done();
+        el.addEventListener('loadeddata', done, { once: true });
+        el.addEventListener('error', done, { once: true });
+        return;
+      }
+      
+      const decode = () => (typeof el.decode === 'function' ? el.decode() : Promise.resolve());
+      if (el.complete && el.naturalWidth) {
+        decode().then(done, done);
+      } else {
+        el.addEventListener('load', () => decode().then(done, done), { once: true });
+        el.addEventListener('error', done, { once: true });
+      }
+    });
+  }
+  
+  // Warm the cache for the previous and next images. Videos aren't
+  // fetched ahead; they're large and stream once shown.
+  preloadNeighbours() {
+    const total = this.mediaItems.length;
+    if (total < 2) return;
+    [1, -1].forEach(step => {
+      const item = this.mediaItems[(this.currentIndex + step + total) % total];
+      // A video's poster is what shows first, so that's worth fetching
+      const url = item.type === 'video' ? item.poster : item.src;
+      if (!url || this.preloaded.has(url)) return;
+      
+      const img = new Image();
+      img.decoding = 'async';
+      img.src = url;
+      const ready = typeof img.decode === 'function' ? img.decode() : Promise.resolve();
+      this.preloaded.set(url, ready.catch(() => {}));
+    });
+  }
+  
+  // Counter, dots/thumbnails and a live region announcing each change.
+  // Single-item carousels have no position to show.
+  buildPositionUI() {
+    this.status = document.createElement('p');
+    this.status.className = 'sr-only carousel-status';
+    this.status.setAttribute('aria-live', 'polite');
+    this.element.appendChild(this.status);
+    
+    if (this.mediaItems.some(item => item.caption)) {
+      this.caption = document.createElement('p');
+      this.caption.className = 'carousel-caption';
+      this.element.appendChild(this.caption);
+      this.updateCaption();
+    }
+    
+    if (this.mediaItems.length < 2) return;
+    
+    if (CONFIG.carousel.showCounter) {
+      this.counter = document.createElement('span');
+      this.counter.className = 'carousel-counter';
+      this.counter.setAttribute('aria-hidden', 'true');
+      this.element.appendChild(this.counter);
+    }
+    
+    const style = this.element.dataset.indicators || CONFIG.carousel.indicators;
+    if (style === 'dots' || style === 'thumbnails') {
+      this.indicators = document.createElement('div');
+      this.indicators.className = `carousel-indicators carousel-${style}`;
+      this.indicators.setAttribute('role', 'group');
+      this.indicators.setAttribute('aria-label', `Choose ${this.productName || 'product'} image`);
+      
+      this.mediaItems.forEach((item, i) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'carousel-indicator';
+        button.setAttribute('aria-label', `Show ${item.type} ${i + 1} of ${this.mediaItems.length}`);
+        
+        if (style === 'thumbnails') {
+          const thumbSrc = item.type === 'video' ? item.poster : item.src;
+          if (item.type === 'video') button.classList.add('is-video');
+          if (!thumbSrc) {
+            button.textContent = '▶';
+          } else {
+            const thumb = document.createElement('img');
+            thumb.src = thumbSrc;
+            thumb.alt = '';
+            thumb.loading = 'lazy';
+            thumb.decoding = 'async';
+            button.appendChild(thumb);
+          }
+        }
+        
+        button.addEventListener('click', () => {
+          this.stopAutoplay();
+          this.goTo(i);
+        });
+        this.indicators.appendChild(button);
+      });
+      
+      this.element.after(this.indicators);
+    }
+    
+    this.updatePosition();
+  }
+  
+  updatePosition() {
+    const total = this.mediaItems.length;
+    if (this.counter) this.counter.textContent = `${this.currentIndex + 1} of ${total}`;
+    if (!this.indicators) return;
+    Array.from(this.indicators.children).forEach((button, i) => {
+      if (i === this.currentIndex) {
+        button.setAttribute('aria-current', 'true');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+  }
+  
+  updateCaption() {
+    if (!this.caption) return;
+    const text = this.mediaItems[this.currentIndex].caption;
+    this.caption.textContent = text;
+    this.caption.hidden = !text;
+  }
+  
+  // Alt text for an item: its descriptor's alt, the markup's alt for the
+  // first, otherwise built from the product name
+  altFor(index) {
+    const item = this.mediaItems[index];
+    if (item.alt) return item.alt;
+    if (index === 0 && this.firstAlt) return this.firstAlt;
+    return this.productName ? `${this.productName}, ${item.type} ${index + 1}` : `Product ${item.type} ${index + 1}`;
+  }
+  
+  announce() {
+    if (!this.status) return;
+    const { caption } = this.mediaItems[this.currentIndex];
+    const label = caption ? `${this.altFor(this.currentIndex)}. ${caption}` : this.altFor(this.currentIndex);
+    this.status.textContent = `${label} (${this.currentIndex + 1} of ${this.mediaItems.length})`;
+  }
+  
+  attachEventListeners() {
+    const leftArrow = this.element.querySelector('.arrow.left');
+    const rightArrow = this.element.querySelector('.arrow.right');
+    
+    if (leftArrow) {
+      leftArrow.textContent = '<';
+      leftArrow.addEventListener('click', () => this.navigate(-1));
+    }
+    
+    if (rightArrow) {
+      rightArrow.textContent = '>';
+      rightArrow.addEventListener('click', () => this.navigate(1));
+    }
+    
+    // Images open in the lightbox; a video's clicks belong to its controls.
+    // The click a browser may send after a swipe is ignored.
+    this.mediaContainer.addEventListener('click', (e) => {
+      if (e.target.tagName !== 'IMG' || Date.now() - this.lastSwipeAt < 400) return;
+      this.openLightbox();
+    });
+  }
+  
+  openLightbox() {
+    Lightbox.open(this, this.currentIndex);
+  }
+  
+  attachKeyboard() {
+    this.element.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target === this.element) {
+        e.preventDefault();
+        this.openLightbox();
+        return;
+      }
+      if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+      if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      // Native video controls use the arrow keys to seek
+      if (e.target.tagName === 'VIDEO') return;
+      
+      e.preventDefault();
+      this.navigate(e.key === 'ArrowRight' ? 1 : -1);
+    });
+  }
+  
+  // Touch/pen swipes. `touch-action: pan-y` (Styles.css) leaves vertical
+  // scrolling to the browser, which cancels the pointer when it takes over.
+  attachSwipe() {
+    const { swipeThreshold, swipeSlop } = CONFIG.carousel;
+    let gesture = null;
+    
+    this.mediaContainer.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse' || !e.isPrimary) return;
+      gesture = { id: e.pointerId, x: e.clientX, y: e.clientY, swiping: false };
+    });
+    
+    this.mediaContainer.addEventListener('pointermove', (e) => {
+      if (!gesture || e.pointerId !== gesture.id || gesture.swiping) return;
+      const dx = e.clientX - gesture.x;
+      const dy = e.clientY - gesture.y;
+      if (Math.abs(dx) < swipeSlop && Math.abs(dy) < swipeSlop) return;
+      
+      if (Math.abs(dx) > Math.abs(dy)) {
+        gesture.swiping = true;
+        try { this.mediaContainer.setPointerCapture(e.pointerId); } catch (_) {}
+      } else {
+        // Vertical: it's a scroll, not ours
+        gesture = null;
+      }
+    });
+    
+    this.mediaContainer.addEventListener('pointerup', (e) => {
+      if (!gesture || e.pointerId !== gesture.id) return;
+      const dx = e.clientX - gesture.x;
+      const { swiping } = gesture;
+      gesture = null;
+      
+      if (swiping && Math.abs(dx) >= swipeThreshold) {
+        this.lastSwipeAt = Date.now();
+        this.navigate(dx < 0 ? 1 : -1);
+      }
+    });
+    
+    this.mediaContainer.addEventListener('pointercancel', () => {
+      gesture = null;
+    });
+  }
+  
+  navigate(direction) {
+    // Stepping by hand takes over from the rotation
+    this.stopAutoplay();
+    this.goTo((this.currentIndex + direction + this.mediaItems.length) % this.mediaItems.length, direction);
+    
+    Logger.log('Carousel Navigation', {
+      'Carousel': this.index + 1,
+      'Direction': direction > 0 ? '➡️ Next' : '⬅️ Previous',
+      'Media Index': `${this.currentIndex + 1} of ${this.mediaItems.length}`,
+      'Media Type': this.mediaItems[this.currentIndex].type.toUpperCase()
+    });
+  }
+  
+  // `direction` (1 forward, -1 back) picks the slide direction; it defaults
+  // to the way the index moved
+  goTo(index, direction = index > this.currentIndex ? 1 : -1) {
+    if (index === this.currentIndex || index < 0 || index >= this.mediaItems.length) return;
+    this.currentIndex = index;
+    this.showMedia(direction);
+    this.updatePosition();
+    this.updateCaption();
+    this.announce();
+    this.preloadNeighbours();
+  }
+  
+  // Adds the new item invisibly, waits until it's decoded, then crossfades
+  // (or slides) it over the old one. A newer call supersedes a pending one.
+  async showMedia(direction = 1) {
+    const token = ++this.renderToken;
+    const item = this.mediaItems[this.currentIndex];
+    
+    const next = item.type === 'video' ? this.createVideoElement(item) : this.createImageElement(item);
+    next.classList.add('carousel-media', 'is-pending');
+    this.mediaContainer.dataset.direction = direction > 0 ? 'next' : 'prev';
+    this.mediaContainer.appendChild(next);
+    
+    await this.whenReady(next);
+    if (token !== this.renderToken) {
+      next.remove();
+      return;
+    }
+    
+    this.lockAspectRatio(next);
+    
+    const previous = Array.from(this.mediaContainer.children).filter(el => el !== next);
+    previous.forEach(el => {
+      if (el.tagName === 'VIDEO') el.pause();
+      el.classList.remove('is-active');
+      el.classList.add('is-leaving');
+    });
+    
+    // Next frame, so the pending state is painted before transitioning out of it
+    requestAnimationFrame(() => {
+      next.classList.remove('is-pending');
+      next.classList.add('is-active');
+    });
+    
+    setTimeout(() => previous.forEach(el => el.remove()), CONFIG.carousel.transitionMs);
+  }
+  
+  createVideoElement(item) {
+    const video = document.createElement('video');
+    Object.assign(video, {
+      src: item.src,
+      controls: true,
+      autoplay: true,
+      loop: true,
+      muted: true,
+      playsInline: true
+    });
+    if (item.poster) video.poster = item.poster;
+    video.setAttribute('aria-label', this.altFor(this.currentIndex));
+    return video;
+  }
+  
+  createImageElement(item) {
+    const img = document.createElement('img');
+    img.decoding = 'async';
+    img.src = item.src;
+    img.alt = this.altFor(this.currentIndex);
+    return img;
+  }
+  
+  // Optional rotation (data-autoplay). It advances only while the user wants
+  // it (the pause/play toggle), nobody is hovering over it, and the carousel
+  // is on screen in the active shop tab. Focus or touch inside it stops it
+  // until the toggle is used again, and it starts stopped for users who
+  // prefer reduced motion.
+  setupAutoplay() {
+    if (!this.element.hasAttribute('data-autoplay') || this.mediaItems.length < 2) return;
+    
+    const defaults = CONFIG.carousel.autoplay;
+    const { autoplayInterval, autoplayPauseOnHover } = this.element.dataset;
+    const interval = Number(autoplayInterval);
+    const reducedMotion = typeof window.matchMedia === 'function'
+      ? window.matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+    
+    this.autoplay = {
+      interval: interval > 0 ? Math.max(interval, defaults.minInterval) : defaults.interval,
+      pauseOnHover: autoplayPauseOnHover === undefined ? defaults.pauseOnHover : autoplayPauseOnHover !== 'false',
+      playing: !reducedMotion?.matches,
+      hovered: false,
+      // Until the observer reports otherwise
+      visible: !('IntersectionObserver' in window),
+      tabActive: !window.TabRouter,
+      timer: null
+    };
+    
+    this.autoplayToggle = document.createElement('button');
+    this.autoplayToggle.type = 'button';
+    this.autoplayToggle.className = 'carousel-autoplay-toggle';
+    this.autoplayToggle.addEventListener('click', () => {
+      if (this.autoplay.playing) {
+        this.stopAutoplay();
+      } else {
+        this.startAutoplay();
+      }
+    });
+    this.element.appendChild(this.autoplayToggle);
+    
+    if (this.autoplay.pauseOnHover) {
+      this.element.addEventListener('mouseenter', () => {
+        this.autoplay.hovered = true;
+        this.updateAutoplay();
+      });
+      this.element.addEventListener('mouseleave', () => {
+        this.autoplay.hovered = false;
+        this.updateAutoplay();
+      });
+    }
+    
+    // The toggle itself is exempt, or starting it would stop it again
+    this.element.addEventListener('focusin', (e) => {
+      if (e.target !== this.autoplayToggle) this.stopAutoplay();
+    });
+    this.element.addEventListener('pointerdown', (e) => {
+      if (e.pointerType !== 'mouse' && !this.autoplayToggle.contains(e.target)) this.stopAutoplay();
     });
     
-    return true;
+    if ('IntersectionObserver' in window) {
+      new IntersectionObserver((entries) => {
+        this.autoplay.visible = entries[entries.length - 1].isIntersecting;
+        this.updateAutoplay();
+      }).observe(this.element);
+    }
+    document.addEventListener('visibilitychange', () => this.updateAutoplay());
+    reducedMotion?.addEventListener?.('change', (e) => {
+      if (e.matches) this.stopAutoplay();
+    });
+    
+    this.renderAutoplayToggle();
+    this.updateAutoplay();
   }
   
-  init() {
-    this.attachEventListeners();
+  startAutoplay() {
+    if (!this.autoplay || this.autoplay.playing) return;
+    this.autoplay.playing = true;
+    this.renderAutoplayToggle();
+    this.updateAutoplay();
+    Logger.log(`Carousel ${this.index + 1}`, { 'Autoplay': '▶️ Playing' });
   }
   
-  attachEventListeners() {
-    const leftArrow = this.element.querySelector('.arrow.left');
-    const rightArrow = this.element.querySelector('.arrow.right');
-    
-    if (leftArrow) {
-      leftArrow.textContent = '<';
-      leftArrow.addEventListener('click', () => this.navigate(-1));
-    }
-    
-    if (rightArrow) {
-      rightArrow.textContent = '>';
-      rightArrow.addEventListener('click', () => this.navigate(1));
+  stopAutoplay() {
+    if (!this.autoplay || !this.autoplay.playing) return;
+    this.autoplay.playing = false;
+    this.renderAutoplayToggle();
+    this.updateAutoplay();
+    Logger.log(`Carousel ${this.index + 1}`, { 'Autoplay': '⏸️ Paused' });
+  }
+  
+  setAutoplayActive(active) {
+    if (!this.autoplay) return;
+    this.autoplay.tabActive = active;
+    this.updateAutoplay();
+  }
+  
+  // Runs or clears the timer to match the current conditions
+  updateAutoplay() {
+    const autoplay = this.autoplay;
+    if (!autoplay) return;
+    
+    const shouldRun = autoplay.playing && !autoplay.hovered && autoplay.visible &&
+      autoplay.tabActive && !document.hidden;
+    
+    if (shouldRun && !autoplay.timer) {
+      autoplay.timer = setTimeout(() => {
+        autoplay.timer = null;
+        this.goTo((this.currentIndex + 1) % this.mediaItems.length, 1);
+        this.updateAutoplay();
+      }, autoplay.interval);
+    } else if (!shouldRun && autoplay.timer) {
+      clearTimeout(autoplay.timer);
+      autoplay.timer = null;
     }
   }
   
-  navigate(direction) {
-    this.currentIndex = (this.currentIndex + direction + this.mediaItems.length) % this.mediaItems.length;
-    this.showMedia();
-    
-    Logger.log('Carousel Navigation', {
-      'Carousel': this.index + 1,
-      'Direction': direction > 0 ? '➡️ Next' : '⬅️ Previous',
-      'Media Index': `${this.currentIndex + 1} of ${this.mediaItems.length}`,
-      'Media Type': this.isVideo(this.mediaItems[this.currentIndex]) ? 'VIDEO' : 'IMAGE'
-    });
+  // While rotating, slide changes aren't announced: a screen reader would be
+  // interrupted every few seconds
+  renderAutoplayToggle() {
+    const { playing } = this.autoplay;
+    this.autoplayToggle.textContent = playing ? '❚❚' : '▶';
+    this.autoplayToggle.setAttribute('aria-label', `${playing ? 'Pause' : 'Play'} ${this.productName || 'product'} slideshow`);
+    this.element.classList.toggle('is-autoplaying', playing);
+    if (this.status) this.status.setAttribute('aria-live', playing ? 'off' : 'polite');
+  }
+  
+  // Pause the current video while the shop is hidden, resuming only if it was playing
+  pauseMedia() {
+    const video = this.mediaContainer.querySelector('video:not(.is-leaving)');
+    if (!video) return;
+    video.dataset.wasPlaying = String(!video.paused);
+    video.pause();
+  }
+  
+  resumeMedia() {
+    const video = this.mediaContainer.querySelector('video:not(.is-leaving)');
+    if (!video) return;
+    if (video.dataset.wasPlaying === 'true') video.play().catch(() => {});
+    delete video.dataset.wasPlaying;
+  }
+  
+  // Fallback for plain URL entries: judge by the file extension
+  isVideo(url) {
+    return /\.(mp4|webm|ogv|ogg|mov|m4v)(?:[?#]|$)/i.test(url);
   }
+}
+
+// =============================================================================
+// PRODUCT LIGHTBOX
+// =============================================================================
+// One fullscreen viewer (index.html .lightbox) shared by every carousel. It
+// shows the carousel's media set; images zoom with the wheel, a pinch,
+// double-click/tap or +/- and pan by dragging, videos just play.
+const Lightbox = {
+  element: null,
+  stage: null,
+  media: null,
+  carousel: null,
+  index: 0,
+  returnFocus: null,
+  // Image transform about its centre; x/y in px
+  view: { scale: 1, x: 0, y: 0 },
+  pointers: new Map(),
+  gesture: null,
+  lastTap: 0,
+  // Set when the last pointer gesture moved, so its click is ignored
+  dragged: false,
   
-  showMedia() {
-    const url = this.mediaItems[this.currentIndex];
-    const isVideo = this.isVideo(url);
+  init() {
+    this.element = DOM.getElement('.lightbox');
+    if (!this.element) return;
+    
+    this.stage = this.element.querySelector('.lightbox-stage');
+    this.title = this.element.querySelector('.lightbox-title');
+    this.counter = this.element.querySelector('.lightbox-counter');
+    this.caption = this.element.querySelector('.lightbox-caption');
+    this.status = this.element.querySelector('.lightbox-status');
+    this.buttons = {};
+    this.element.querySelectorAll('[data-lightbox-action]').forEach(button => {
+      this.buttons[button.dataset.lightboxAction] = button;
+    });
+    
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-lightbox-action]');
+      if (button) {
+        this.handleAction(button.dataset.lightboxAction);
+      } else if (e.target === this.stage && !this.dragged) {
+        // The backdrop around the media
+        this.close();
+      }
+    });
+    this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+    
+    // Anything that lands focus behind the dialog brings it back
+    document.addEventListener('focusin', (e) => {
+      if (this.isOpen() && !this.element.contains(e.target)) this.buttons.close.focus();
+    });
+    
+    this.attachPointers();
     
-    // Clear container
-    this.mediaContainer.innerHTML = '';
+    // Registered before CarouselManager's, so a carousel resumes its video
+    // here before the shop's own onLeave pauses it again
+    if (window.TabRouter) {
+      window.TabRouter.registerTab('shop', {
+        onLeave: () => this.close({ restoreFocus: false })
+      });
+    }
     
-    if (isVideo) {
-      this.createVideoElement(url);
+    Logger.log('Lightbox', 'Initialized');
+  },
+  
+  isOpen() {
+    return Boolean(this.element) && !this.element.hidden;
+  },
+  
+  open(carousel, index) {
+    if (!this.element) return;
+    
+    this.carousel = carousel;
+    this.returnFocus = carousel.element;
+    carousel.stopAutoplay();
+    carousel.pauseMedia();
+    
+    this.title.textContent = carousel.productName || 'Product images';
+    const single = carousel.mediaItems.length < 2;
+    this.buttons.prev.hidden = single;
+    this.buttons.next.hidden = single;
+    
+    this.element.hidden = false;
+    document.body.classList.add('has-lightbox');
+    this.show(index);
+    this.buttons.close.focus();
+    
+    Logger.log('Lightbox Opened', {
+      'Carousel': carousel.index + 1,
+      'Media Index': `${this.index + 1} of ${carousel.mediaItems.length}`
+    });
+  },
+  
+  // Leaves the carousel on the item last viewed here
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen()) return;
+    
+    const carousel = this.carousel;
+    this.element.hidden = true;
+    document.body.classList.remove('has-lightbox');
+    this.stage.replaceChildren();
+    this.media = null;
+    this.pointers.clear();
+    this.gesture = null;
+    this.carousel = null;
+    
+    carousel.goTo(this.index);
+    carousel.resumeMedia();
+    if (restoreFocus && this.returnFocus) this.returnFocus.focus();
+    this.returnFocus = null;
+    
+    Logger.log('Lightbox Closed', { 'Carousel': carousel.index + 1 });
+  },
+  
+  show(index) {
+    const items = this.carousel.mediaItems;
+    this.index = (index + items.length) % items.length;
+    const item = items[this.index];
+    const alt = this.carousel.altFor(this.index);
+    
+    let media;
+    if (item.type === 'video') {
+      media = document.createElement('video');
+      Object.assign(media, {
+        src: item.src,
+        controls: true,
+        autoplay: true,
+        loop: true,
+        muted: true,
+        playsInline: true
+      });
+      if (item.poster) media.poster = item.poster;
+      media.setAttribute('aria-label', alt);
     } else {
-      this.createImageElement(url);
+      media = document.createElement('img');
+      media.decoding = 'async';
+      media.draggable = false;
+      media.src = item.src;
+      media.alt = alt;
     }
-  }
+    media.className = 'lightbox-media';
+    
+    this.stage.replaceChildren(media);
+    this.media = media;
+    this.resetZoom();
+    
+    this.buttons['zoom-in'].hidden = !this.canZoom();
+    this.buttons['zoom-out'].hidden = !this.canZoom();
+    this.counter.textContent = `${this.index + 1} of ${items.length}`;
+    this.caption.textContent = item.caption;
+    this.caption.hidden = !item.caption;
+    this.status.textContent = `${alt} (${this.index + 1} of ${items.length})`;
+  },
   
-  createVideoElement(url) {
-    const video = document.createElement('video');
-    Object.assign(video, {
-      src: url,
-      controls: true,
-      autoplay: true,
-      loop: true,
-      muted: true
+  handleAction(action) {
+    switch (action) {
+      case 'close': this.close(); break;
+      case 'prev': this.show(this.index - 1); break;
+      case 'next': this.show(this.index + 1); break;
+      case 'zoom-in': this.zoomBy(CONFIG.lightbox.zoomStep); break;
+      case 'zoom-out': this.zoomBy(1 / CONFIG.lightbox.zoomStep); break;
+    }
+  },
+  
+  handleKeydown(e) {
+    if (e.key === 'Tab') {
+      this.trapFocus(e);
+      return;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+      return;
+    }
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        // Native video controls use the arrow keys to seek
+        if (e.target.tagName === 'VIDEO' || this.carousel.mediaItems.length < 2) return;
+        this.show(this.index + (e.key === 'ArrowRight' ? 1 : -1));
+        break;
+      case '+':
+      case '=':
+        this.zoomBy(CONFIG.lightbox.zoomStep);
+        break;
+      case '-':
+        this.zoomBy(1 / CONFIG.lightbox.zoomStep);
+        break;
+      case '0':
+        this.resetZoom();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  },
+  
+  trapFocus(e) {
+    const focusable = Array.from(this.element.querySelectorAll('button, video[controls]'))
+      .filter(el => !el.hidden && !el.disabled);
+    if (focusable.length === 0) return;
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  },
+  
+  // ---------------------------------------------------------------------------
+  // Zoom and pan. The image is laid out at its fitted size and centred in the
+  // stage; the view scales it about its centre, then translates it. Panning
+  // is clamped so the image always covers the stage along a zoomed axis.
+  // ---------------------------------------------------------------------------
+  canZoom() {
+    return this.media?.tagName === 'IMG';
+  },
+  
+  applyView() {
+    const { scale, x, y } = this.view;
+    this.media.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+    this.element.classList.toggle('is-zoomed', scale > 1);
+    this.buttons['zoom-out'].disabled = scale <= 1;
+    this.buttons['zoom-in'].disabled = scale >= CONFIG.lightbox.maxZoom;
+  },
+  
+  resetZoom() {
+    this.view = { scale: 1, x: 0, y: 0 };
+    if (this.canZoom()) this.applyView();
+  },
+  
+  // Zoom to `scale`, keeping the stage point (x, y), in px from the stage
+  // centre, where it is on screen
+  zoomTo(scale, x = 0, y = 0) {
+    if (!this.canZoom()) return;
+    
+    const next = Math.min(Math.max(scale, 1), CONFIG.lightbox.maxZoom);
+    const ratio = next / this.view.scale;
+    this.view = {
+      scale: next,
+      x: x - (x - this.view.x) * ratio,
+      y: y - (y - this.view.y) * ratio
+    };
+    this.clampPan();
+    this.applyView();
+  },
+  
+  zoomBy(factor, x, y) {
+    this.zoomTo(this.view.scale * factor, x, y);
+  },
+  
+  clampPan() {
+    const { scale } = this.view;
+    const maxX = Math.max(0, (this.media.offsetWidth * scale - this.stage.clientWidth) / 2);
+    const maxY = Math.max(0, (this.media.offsetHeight * scale - this.stage.clientHeight) / 2);
+    this.view.x = Math.min(Math.max(this.view.x, -maxX), maxX);
+    this.view.y = Math.min(Math.max(this.view.y, -maxY), maxY);
+  },
+  
+  stagePoint(e) {
+    const rect = this.stage.getBoundingClientRect();
+    return {
+      x: e.clientX - rect.left - rect.width / 2,
+      y: e.clientY - rect.top - rect.height / 2
+    };
+  },
+  
+  // One pointer pans (or, unzoomed, swipes to the next item); two pinch.
+  // `touch-action: none` on the stage (Styles.css) keeps the browser out.
+  attachPointers() {
+    const { swipeThreshold, swipeSlop } = CONFIG.carousel;
+    
+    this.stage.addEventListener('wheel', (e) => {
+      if (!this.canZoom()) return;
+      e.preventDefault();
+      const { x, y } = this.stagePoint(e);
+      this.zoomBy(Math.exp(-e.deltaY * CONFIG.lightbox.wheelSensitivity), x, y);
+    }, { passive: false });
+    
+    this.stage.addEventListener('dblclick', (e) => {
+      if (e.target === this.media) this.toggleZoom(e);
     });
     
-    Object.assign(video.style, {
-      width: '100%',
-      height: 'auto',
-      display: 'block'
+    const startGesture = () => {
+      const points = Array.from(this.pointers.values());
+      if (points.length >= 2) {
+        this.gesture = {
+          type: 'pinch',
+          distance: Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y) || 1,
+          scale: this.view.scale
+        };
+      } else if (points.length === 1) {
+        this.gesture = { type: 'pan', start: points[0], view: { ...this.view }, moved: false };
+      } else {
+        this.gesture = null;
+      }
+    };
+    
+    this.stage.addEventListener('pointerdown', (e) => {
+      if (!this.media || (e.pointerType === 'mouse' && e.button !== 0)) return;
+      // Leave a video's own controls alone
+      if (e.target.tagName === 'VIDEO') return;
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      this.dragged = false;
+      startGesture();
     });
     
-    this.mediaContainer.appendChild(video);
-  }
-  
-  createImageElement(url) {
-    const img = document.createElement('img');
-    img.src = url;
-    img.alt = 'Product image';
-    img.setAttribute('data-media', JSON.stringify(this.mediaItems));
+    this.stage.addEventListener('pointermove', (e) => {
+      if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      
+      if (this.gesture.type === 'pinch') {
+        const [a, b] = Array.from(this.pointers.values());
+        const mid = this.stagePoint({ clientX: (a.x + b.x) / 2, clientY: (a.y + b.y) / 2 });
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        this.zoomTo(this.gesture.scale * distance / this.gesture.distance, mid.x, mid.y);
+        this.dragged = true;
+        return;
+      }
+      
+      const dx = e.clientX - this.gesture.start.x;
+      const dy = e.clientY - this.gesture.start.y;
+      if (!this.gesture.moved && Math.abs(dx) < swipeSlop && Math.abs(dy) < swipeSlop) return;
+      this.gesture.moved = true;
+      this.dragged = true;
+      
+      if (this.view.scale > 1) {
+        this.element.classList.add('is-panning');
+        this.view.x = this.gesture.view.x + dx;
+        this.view.y = this.gesture.view.y + dy;
+        this.clampPan();
+        this.applyView();
+      }
+    });
     
-    this.mediaContainer.appendChild(img);
-  }
+    const endPointer = (e) => {
+      if (!this.pointers.has(e.pointerId)) return;
+      const gesture = this.gesture;
+      this.pointers.delete(e.pointerId);
+      this.element.classList.remove('is-panning');
+      
+      if (gesture?.type === 'pan' && e.type === 'pointerup') {
+        const dx = e.clientX - gesture.start.x;
+        if (!gesture.moved) {
+          if (e.pointerType !== 'mouse') this.handleTap(e);
+        } else if (this.view.scale === 1 && Math.abs(dx) >= swipeThreshold &&
+            this.carousel.mediaItems.length > 1) {
+          this.show(this.index + (dx < 0 ? 1 : -1));
+        }
+      }
+      
+      // A finger lifted mid-pinch carries on as a pan with the other
+      startGesture();
+    };
+    this.stage.addEventListener('pointerup', endPointer);
+    this.stage.addEventListener('pointercancel', endPointer);
+  },
   
-  isVideo(url) {
-    return /\.(mp4|webm|ogg)$/i.test(url) || url.includes('video');
+  // Touch has no dependable dblclick, so two quick taps on the image count
+  handleTap(e) {
+    if (e.target !== this.media) return;
+    const now = Date.now();
+    if (now - this.lastTap < CONFIG.lightbox.doubleTapMs) {
+      this.lastTap = 0;
+      this.toggleZoom(e);
+    } else {
+      this.lastTap = now;
+    }
+  },
+  
+  toggleZoom(e) {
+    if (!this.canZoom()) return;
+    if (this.view.scale > 1) {
+      this.resetZoom();
+    } else {
+      const { x, y } = this.stagePoint(e);
+      this.zoomTo(CONFIG.lightbox.doubleTapZoom, x, y);
+    }
   }
-}
+};
 
 // =============================================================================
 // PERFORMANCE MONITORING (Optional)
@@ -546,193 +3109,225 @@ const CardFocusManager = {
 
 
 // =============================================================================
-// PAGINATION MANAGER
+// PAGINATOR
 // =============================================================================
-const PaginationManager = {
-  grid: null,
-  cards: [],
-  paginationContainer: null,
-  itemsPerPage: 4, // number of cards per page
-  currentPage: 1,
-  
-  init() {
-    this.grid = DOM.getElement('.tab-gallery .grid-3');
-    // Scope to gallery pagination container to avoid clashing with shop pagination
-    this.paginationContainer = DOM.getElement('.gallery-pagination-nav .pagination');
-    
-    if (!this.grid || !this.paginationContainer) {
-      Logger.log('Pagination Manager', 'Required elements (grid or container) not found');
-      return;
-    }
-    
-    this.cards = Array.from(this.grid.querySelectorAll('.card'));
-    
-    if (this.cards.length === 0) {
-      Logger.log('Pagination Manager', 'No cards found in grid');
-      return;
-    }
-    
-    this.totalPages = Math.ceil(this.cards.length / this.itemsPerPage);
+// Pages through the items of a grid, building its controls into a
+// ul.pagination: first, previous, the page numbers (elided around the
+// current page once there are many: "1 … 4 5 6 … 20"), next and last.
+//
+//   new Paginator({ grid, nav, itemsPerPage: 6 })
+//
+// Options:
+//   grid          element holding the items
+//   nav           the ul.pagination to build the controls in
+//   items         selector for the items within the grid ('.card')
+//   itemsPerPage  defaults to CONFIG.pagination.itemsPerPage
+//   siblingCount  pages shown either side of the current one
+//   showFirstLast whether to add the first/last buttons
+//   navigate      called with a page number when a control is used; defaults
+//                 to showing it. Lets a page change go through the router.
+//   name          used in log output
+//
+// Every page change dispatches a bubbling `pagination:change` event on the
+// grid with { page, previousPage, totalPages, items } as its detail.
+class Paginator {
+  constructor(options) {
+    const defaults = CONFIG.pagination;
+    this.grid = options.grid;
+    this.nav = options.nav;
+    this.itemsPerPage = options.itemsPerPage || defaults.itemsPerPage;
+    this.siblingCount = options.siblingCount ?? defaults.siblingCount;
+    this.showFirstLast = options.showFirstLast ?? defaults.showFirstLast;
+    this.navigate = options.navigate || (page => this.show(page));
+    this.name = options.name || 'Pagination';
+    this.items = Array.from(this.grid.querySelectorAll(options.items || '.card'));
+    this.totalPages = Math.max(1, Math.ceil(this.items.length / this.itemsPerPage));
+    this.currentPage = 0;
+    this.controls = {};
     
     if (this.totalPages <= 1) {
-      Logger.log('Pagination Manager', 'Only one page, no pagination needed');
-      this.paginationContainer.style.display = 'none'; // Hide pagination if not needed
-      return;
+      // The nav's wrapper too, so an empty sticky bar isn't left behind
+      (this.nav.closest('nav') || this.nav).hidden = true;
+    } else {
+      this.buildControls();
     }
     
-    this.createPaginationButtons();
-    this.displayPage(1);
-    
-    Logger.log('Pagination Manager', {
+    Logger.log(this.name, {
       'Status': 'Initialized',
-      'Total Cards': this.cards.length,
+      'Total Items': this.items.length,
       'Total Pages': this.totalPages,
       'Items Per Page': this.itemsPerPage
     });
-  },
+  }
   
-  createPaginationButtons() {
-    this.paginationContainer.innerHTML = ''; // Clear any existing content
-
-    // Prev arrow
-    const liPrev = document.createElement('li');
-    const prevBtn = document.createElement('button');
-    prevBtn.classList.add('pagination-btn', 'pagination-prev');
-    prevBtn.setAttribute('aria-label', 'Previous page');
-    prevBtn.textContent = '‹';
-    prevBtn.addEventListener('click', () => {
-      if (this.currentPage > 1) this.displayPage(this.currentPage - 1);
-    });
-    liPrev.appendChild(prevBtn);
-    this.paginationContainer.appendChild(liPrev);
-
-    // Page number buttons
-    for (let i = 1; i <= this.totalPages; i++) {
+  // The first/prev/next/last buttons stay put; the numbers between them are
+  // rebuilt on every change (see renderPages)
+  buildControls() {
+    this.nav.innerHTML = '';
+    
+    const addControl = (key, label, text, target) => {
+      if ((key === 'first' || key === 'last') && !this.showFirstLast) return;
       const li = document.createElement('li');
       const button = document.createElement('button');
-
-      button.classList.add('pagination-btn');
-      button.textContent = i;
-      button.setAttribute('aria-label', `Go to page ${i}`);
-
-      if (i === 1) {
-        button.classList.add('active');
-        button.setAttribute('aria-current', 'page');
-      }
-
+      button.type = 'button';
+      button.classList.add('pagination-btn', `pagination-${key}`);
+      button.setAttribute('aria-label', label);
+      button.textContent = text;
+      // aria-disabled rather than disabled keeps it focusable, so ignore it here
       button.addEventListener('click', () => {
-        this.displayPage(i);
+        if (button.getAttribute('aria-disabled') !== 'true') this.goTo(target());
       });
-
       li.appendChild(button);
-      this.paginationContainer.appendChild(li);
-    }
-
-    // Next arrow
-    const liNext = document.createElement('li');
-    const nextBtn = document.createElement('button');
-    nextBtn.classList.add('pagination-btn', 'pagination-next');
-    nextBtn.setAttribute('aria-label', 'Next page');
-    nextBtn.textContent = '›';
-    nextBtn.addEventListener('click', () => {
-      if (this.currentPage < this.totalPages) this.displayPage(this.currentPage + 1);
-    });
-    liNext.appendChild(nextBtn);
-    this.paginationContainer.appendChild(liNext);
-  },
-  
-  displayPage(pageNumber) {
-    if (pageNumber < 1 || pageNumber > this.totalPages) return;
+      this.nav.appendChild(li);
+      this.controls[key] = button;
+    };
     
-    this.currentPage = pageNumber;
+    addControl('first', 'First page', '«', () => 1);
+    addControl('prev', 'Previous page', '‹', () => this.currentPage - 1);
+    this.pagesMarker = document.createComment('pages');
+    this.nav.appendChild(this.pagesMarker);
+    addControl('next', 'Next page', '›', () => this.currentPage + 1);
+    addControl('last', 'Last page', '»', () => this.totalPages);
+  }
+  
+  // Page numbers with 'ellipsis' gaps, always the same length once elided so
+  // the controls don't jump about: 1 2 3 4 5 … 20, 1 … 4 5 6 … 20,
+  // 1 … 16 17 18 19 20 (with one sibling)
+  pageList() {
+    const total = this.totalPages;
+    const current = this.currentPage;
+    const siblings = this.siblingCount;
+    const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    
+    // First, last, current, the siblings and two gaps
+    if (total <= siblings * 2 + 5) return range(1, total);
+    
+    const left = Math.max(current - siblings, 1);
+    const right = Math.min(current + siblings, total);
+    // A gap only hides two or more pages; a lone page is shown instead
+    const showLeftGap = left > 3;
+    const showRightGap = right < total - 2;
+    const edgeCount = siblings * 2 + 3;
+    
+    if (!showLeftGap) return [...range(1, edgeCount), 'ellipsis', total];
+    if (!showRightGap) return [1, 'ellipsis', ...range(total - edgeCount + 1, total)];
+    return [1, 'ellipsis', ...range(left, right), 'ellipsis', total];
+  }
+  
+  renderPages() {
+    // A focused number is about to be replaced; keep focus on the current page
+    const hadFocus = this.nav.contains(document.activeElement) &&
+      document.activeElement.classList.contains('pagination-page');
     
-    const startIndex = (pageNumber - 1) * this.itemsPerPage;
-    const endIndex = startIndex + this.itemsPerPage;
+    this.nav.querySelectorAll('.pagination-page-item').forEach(li => li.remove());
     
-    // Hide all cards
-    this.cards.forEach(card => {
-      card.style.display = 'none';
+    const fragment = document.createDocumentFragment();
+    this.pageList().forEach(page => {
+      const li = document.createElement('li');
+      li.className = 'pagination-page-item';
+      
+      if (page === 'ellipsis') {
+        li.classList.add('pagination-ellipsis');
+        li.setAttribute('aria-hidden', 'true');
+        li.textContent = '…';
+      } else {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.classList.add('pagination-btn', 'pagination-page');
+        button.textContent = String(page);
+        button.setAttribute('aria-label', `Go to page ${page}`);
+        if (page === this.currentPage) {
+          button.classList.add('active');
+          button.setAttribute('aria-current', 'page');
+        }
+        button.addEventListener('click', () => this.goTo(page));
+        li.appendChild(button);
+      }
+      
+      fragment.appendChild(li);
     });
+    this.pagesMarker.after(fragment);
+    
+    const atStart = this.currentPage === 1;
+    const atEnd = this.currentPage === this.totalPages;
+    [['first', atStart], ['prev', atStart], ['next', atEnd], ['last', atEnd]].forEach(([key, disabled]) => {
+      const button = this.controls[key];
+      if (!button) return;
+      button.classList.toggle('disabled', disabled);
+      button.setAttribute('aria-disabled', String(disabled));
+    });
+    
+    if (hadFocus) this.nav.querySelector('.pagination-page.active')?.focus();
+  }
+  
+  // Which page an item (by index) is on
+  pageOf(index) {
+    return Math.floor(index / this.itemsPerPage) + 1;
+  }
+  
+  pageItems(page = this.currentPage) {
+    const start = (page - 1) * this.itemsPerPage;
+    return this.items.slice(start, start + this.itemsPerPage);
+  }
+  
+  // A control was used; the navigate option decides what happens
+  goTo(page) {
+    if (page < 1 || page > this.totalPages || page === this.currentPage) return;
+    this.navigate(page);
+  }
+  
+  show(page) {
+    if (page < 1 || page > this.totalPages) return;
     
-    // Show cards for the current page
-    const pageCards = this.cards.slice(startIndex, endIndex);
-    pageCards.forEach(card => {
-      card.style.display = 'flex'; // Use 'flex' since .card uses flex-direction
+    const previousPage = this.currentPage;
+    this.currentPage = page;
+    
+    const start = (page - 1) * this.itemsPerPage;
+    const end = start + this.itemsPerPage;
+    this.items.forEach((item, index) => {
+      // '' hands display back to the stylesheet
+      item.style.display = index >= start && index < end ? '' : 'none';
     });
     
-    // Update active button state
-    this.updateActiveButton();
+    if (this.totalPages > 1) this.renderPages();
     
-    // Optional: Scroll to the top of the grid
-    if (CONFIG.pagination?.scrollOnChange && this.grid?.scrollIntoView) {
+    if (previousPage && CONFIG.pagination.scrollOnChange && this.grid.scrollIntoView) {
       this.grid.scrollIntoView({ behavior: CONFIG.pagination.scrollBehavior, block: CONFIG.pagination.scrollBlock });
     }
     
-    Logger.log('Pagination', {
-      'Action': 'Page Change',
-      'Current Page': this.currentPage,
-      'Cards Shown': `${startIndex + 1} - ${Math.min(endIndex, this.cards.length)}`
-    });
-  },
-  
-  updateActiveButton() {
-    // Numbered buttons exclude prev/next by selecting those without the arrow classes
-    const numberButtons = Array.from(this.paginationContainer.querySelectorAll('.pagination-btn'))
-      .filter(btn => !btn.classList.contains('pagination-prev') && !btn.classList.contains('pagination-next'));
-
-    numberButtons.forEach((button, index) => {
-      if ((index + 1) === this.currentPage) {
-        button.classList.add('active');
-        button.setAttribute('aria-current', 'page');
-      } else {
-        button.classList.remove('active');
-        button.removeAttribute('aria-current');
-      }
-    });
-
-    // Prev/Next disabled state
-    const prevBtn = this.paginationContainer.querySelector('.pagination-prev');
-    const nextBtn = this.paginationContainer.querySelector('.pagination-next');
-    if (prevBtn) {
-      if (this.currentPage === 1) {
-        prevBtn.classList.add('disabled');
-        prevBtn.setAttribute('aria-disabled', 'true');
-      } else {
-        prevBtn.classList.remove('disabled');
-        prevBtn.setAttribute('aria-disabled', 'false');
-      }
-    }
-    if (nextBtn) {
-      if (this.currentPage === this.totalPages) {
-        nextBtn.classList.add('disabled');
-        nextBtn.setAttribute('aria-disabled', 'true');
-      } else {
-        nextBtn.classList.remove('disabled');
-        nextBtn.setAttribute('aria-disabled', 'false');
-      }
+    if (page !== previousPage) {
+      Logger.log(this.name, {
+        'Action': 'Page Change',
+        'Current Page': `${page} of ${this.totalPages}`,
+        'Items Shown': `${start + 1} - ${Math.min(end, this.items.length)}`
+      });
     }
+    
+    this.grid.dispatchEvent(new CustomEvent('pagination:change', {
+      bubbles: true,
+      detail: { page, previousPage, totalPages: this.totalPages, items: this.pageItems() }
+    }));
   }
-};
+}
 
 // =============================================================================
 // SHOP PAGINATION MANAGER
 // =============================================================================
+// The shop grid's Paginator, plus what's particular to the shop: product
+// slugs and #shop/... routes, and the section labels above each page.
 const ShopPaginationManager = {
   grid: null,
   cards: [],
-  paginationContainer: null,
+  paginator: null,
   sectionLabelsContainer: null,
   itemsPerPage: 3, // 3 cards per page
-  currentPage: 1,
-  totalPages: 1,
-  sections: ['Best sellers', 'Extra 1', 'Extra 2'],
   
   init() {
     this.grid = DOM.getElement('.tab-shop #shop-grid');
-    this.paginationContainer = DOM.getElement('.shop-pagination-nav .pagination');
+    const nav = DOM.getElement('.shop-pagination-nav .pagination');
     this.sectionLabelsContainer = DOM.getElement('#shop-section-labels');
     
-    if (!this.grid || !this.paginationContainer) {
+    if (!this.grid || !nav) {
       Logger.log('Shop Pagination Manager', 'Required elements (grid or container) not found');
       return;
     }
@@ -744,102 +3339,85 @@ const ShopPaginationManager = {
       return;
     }
     
-    this.totalPages = Math.ceil(this.cards.length / this.itemsPerPage);
-    
-    if (this.totalPages <= 1) {
-      Logger.log('Shop Pagination Manager', 'Only one page, no pagination needed');
-      this.paginationContainer.parentElement.style.display = 'none';
-      return;
-    }
+    // Product slugs for #shop/<slug> links; data-slug wins over the title
+    this.cards.forEach(card => {
+      if (!card.dataset.slug) {
+        const title = card.querySelector('h3');
+        card.dataset.slug = slugify(title ? title.textContent : '');
+      }
+    });
     
-  this.createPaginationButtons();
-    this.displayPage(1);
+    this.grid.addEventListener('pagination:change', (e) => this.updateSectionLabels(e.detail.items));
     
-    Logger.log('Shop Pagination Manager', {
-      'Status': 'Initialized',
-      'Total Cards': this.cards.length,
-      'Total Pages': this.totalPages,
-      'Items Per Page': this.itemsPerPage
+    this.paginator = new Paginator({
+      grid: this.grid,
+      nav,
+      itemsPerPage: this.itemsPerPage,
+      navigate: (page) => this.goToPage(page),
+      name: 'Shop Pagination'
     });
+    this.paginator.show(1);
+    this.attachRoute();
   },
   
-  createPaginationButtons() {
-    // Build unified pagination: Prev, 1..N, Next using .pagination-btn
-    if (!this.paginationContainer) return;
-    this.paginationContainer.innerHTML = '';
-
-    // Prev
-    const liPrev = document.createElement('li');
-    const prevBtn = document.createElement('button');
-    prevBtn.classList.add('pagination-btn', 'pagination-prev');
-    prevBtn.setAttribute('aria-label', 'Previous page');
-    prevBtn.textContent = '‹';
-    prevBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      if (this.currentPage > 1) this.displayPage(this.currentPage - 1);
-    });
-    liPrev.appendChild(prevBtn);
-    this.paginationContainer.appendChild(liPrev);
-
-    // Numbered
-    for (let i = 1; i <= this.totalPages; i++) {
-      const li = document.createElement('li');
-      const btn = document.createElement('button');
-      btn.classList.add('pagination-btn');
-      btn.textContent = String(i);
-      btn.setAttribute('aria-label', `Go to page ${i}`);
-      if (i === 1) {
-        btn.classList.add('active');
-        btn.setAttribute('aria-current', 'page');
-      }
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.displayPage(i);
-      });
-      li.appendChild(btn);
-      this.paginationContainer.appendChild(li);
+  // Page changes go through the router so each page gets a history entry
+  goToPage(pageNumber) {
+    const router = window.TabRouter;
+    if (router && router.current() === 'shop') {
+      router.navigate(pageNumber === 1 ? 'shop' : `shop/page/${pageNumber}`);
+    } else {
+      this.paginator.show(pageNumber);
     }
-
-    // Next
-    const liNext = document.createElement('li');
-    const nextBtn = document.createElement('button');
-    nextBtn.classList.add('pagination-btn', 'pagination-next');
-    nextBtn.setAttribute('aria-label', 'Next page');
-    nextBtn.textContent = '›';
-    nextBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      if (this.currentPage < this.totalPages) this.displayPage(this.currentPage + 1);
-    });
-    liNext.appendChild(nextBtn);
-    this.paginationContainer.appendChild(liNext);
   },
   
-  displayPage(pageNumber) {
-    // Validate page number
-    if (pageNumber < 1 || pageNumber > this.totalPages) {
+  attachRoute() {
+    if (!window.TabRouter) return;
+    window.TabRouter.registerTab('shop', { onRoute: (path) => this.showRoute(path) });
+  },
+  
+  // Sub-paths: "" (page 1), "page/<n>", or a product slug
+  showRoute(path) {
+    const [first, second] = path.split('/');
+    this.clearTargetedCard();
+    
+    if (!first) {
+      this.paginator.show(1);
       return;
     }
     
-    this.currentPage = pageNumber;
-    const startIndex = (pageNumber - 1) * this.itemsPerPage;
-    const endIndex = startIndex + this.itemsPerPage;
-    const currentCards = this.cards.slice(startIndex, endIndex);
-    
-    // Hide all cards, show only current page cards
-    this.cards.forEach((card, index) => {
-      card.style.display = index >= startIndex && index < endIndex ? 'flex' : 'none';
-    });
-    
-    // Update section labels based on what's on this page
-    this.updateSectionLabels(currentCards);
-    
-    // Update pagination buttons
-    this.updateActiveButton();
+    if (first === 'page') {
+      this.paginator.show(parseInt(second, 10) || 1);
+      return;
+    }
     
-    // Optional: Scroll to grid
-    if (CONFIG.pagination?.scrollOnChange && this.grid?.scrollIntoView) {
-      this.grid.scrollIntoView({ behavior: CONFIG.pagination.scrollBehavior, block: CONFIG.pagination.scrollBlock });
+    const index = this.cards.findIndex(card => card.dataset.slug === first);
+    if (index === -1) {
+      Logger.log('Shop Route', `No product matches "${first}"`);
+      this.paginator.show(1);
+      return;
     }
+    
+    const card = this.cards[index];
+    this.paginator.show(this.paginator.pageOf(index));
+    card.classList.add('card-targeted');
+    this.setProductMeta(card);
+    setTimeout(() => card.scrollIntoView({ behavior: 'smooth', block: 'center' }), 100);
+  },
+  
+  setProductMeta(card) {
+    if (!window.TabRouter) return;
+    const title = card.querySelector('h3')?.textContent.trim() || 'Product';
+    const price = card.querySelector('.card-content p')?.textContent.trim();
+    const image = card.querySelector('.media-container img');
+    window.TabRouter.setMeta({
+      title: `${title} | Shop | Joslynn Losee`,
+      description: price ? `${title} (${price}) from the JossDraws shop.` : undefined,
+      image: image ? image.getAttribute('src') : undefined
+    });
+  },
+  
+  clearTargetedCard() {
+    this.cards.forEach(card => card.classList.remove('card-targeted'));
   },
   
   updateSectionLabels(cardsOnPage) {
@@ -851,44 +3429,6 @@ const ShopPaginationManager = {
     // Build labels HTML
     const labelsHTML = sectionsOnPage.map(section => `<h3>${section}</h3>`).join('');
     this.sectionLabelsContainer.innerHTML = labelsHTML;
-  },
-  
-  updateActiveButton() {
-    if (!this.paginationContainer) return;
-    // Prev/Next
-    const prevBtn = this.paginationContainer.querySelector('.pagination-prev');
-    const nextBtn = this.paginationContainer.querySelector('.pagination-next');
-    if (prevBtn) {
-      if (this.currentPage === 1) {
-        prevBtn.classList.add('disabled');
-        prevBtn.setAttribute('aria-disabled', 'true');
-      } else {
-        prevBtn.classList.remove('disabled');
-        prevBtn.setAttribute('aria-disabled', 'false');
-      }
-    }
-    if (nextBtn) {
-      if (this.currentPage === this.totalPages) {
-        nextBtn.classList.add('disabled');
-        nextBtn.setAttribute('aria-disabled', 'true');
-      } else {
-        nextBtn.classList.remove('disabled');
-        nextBtn.setAttribute('aria-disabled', 'false');
-      }
-    }
-    // Numbers
-    const numberButtons = Array.from(this.paginationContainer.querySelectorAll('.pagination-btn'))
-      .filter(btn => !btn.classList.contains('pagination-prev') && !btn.classList.contains('pagination-next'));
-    numberButtons.forEach((btn, idx) => {
-      const pageNum = idx + 1;
-      if (pageNum === this.currentPage) {
-        btn.classList.add('active');
-        btn.setAttribute('aria-current', 'page');
-      } else {
-        btn.classList.remove('active');
-        btn.removeAttribute('aria-current');
-      }
-    });
   }
 };
 
@@ -919,9 +3459,10 @@ function initializeComponents() {
   // Initialize all components
   TabManager.init();
   FormManager.init();
+  InquiryManager.init();
+  Lightbox.init();
   CarouselManager.init();
   CardFocusManager.init();
-  PaginationManager.init();
   ShopPaginationManager.init();
   HeroLinkManager.init();
   
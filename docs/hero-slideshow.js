@@ -61,20 +61,21 @@
     heroSlideshow.appendChild(img);
   }
 
-  // Load random image on page load
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', loadRandomHeroImage);
-  } else {
-    loadRandomHeroImage();
+  // Drop the image while another tab is showing; a fresh one loads on return
+  function clearHeroImage() {
+    const heroSlideshow = document.querySelector('.hero-slideshow');
+    if (heroSlideshow) heroSlideshow.innerHTML = '';
   }
 
-  // Listen for tab changes to reload image when returning to home tab
-  const homeTabRadio = document.getElementById('tab-home');
-  if (homeTabRadio) {
-    homeTabRadio.addEventListener('change', function() {
-      if (this.checked) {
-        loadRandomHeroImage();
-      }
+  // Load a random image each time the home tab is entered
+  if (window.TabRouter) {
+    window.TabRouter.registerTab('home', {
+      onEnter: loadRandomHeroImage,
+      onLeave: clearHeroImage
     });
+  } else if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadRandomHeroImage);
+  } else {
+    loadRandomHeroImage();
   }
 })();
@@ -13,7 +13,11 @@ class MasonryGallery {
       scaleOnHover: options.scaleOnHover !== false,
       hoverScale: options.hoverScale || 0.95,
       blurToFocus: options.blurToFocus !== false,
-      colorShiftOnHover: options.colorShiftOnHover || false
+      colorShiftOnHover: options.colorShiftOnHover || false,
+      // Called with the focused item (or null) when the user toggles focus
+      onFocusChange: options.onFocusChange || null,
+      // { label, onSelect(item) }: a button shown on the focused item
+      itemAction: options.itemAction || null
     };
     
     this.items = [];
@@ -343,6 +347,24 @@ class MasonryGallery {
       
       wrapper.appendChild(mediaContainer);
       
+      const { itemAction } = this.options;
+      if (itemAction && typeof itemAction.onSelect === 'function') {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'masonry-item-action';
+        actionBtn.textContent = itemAction.label;
+        if (item.caption) {
+          actionBtn.setAttribute('aria-label', `${itemAction.label}: ${item.caption}`);
+        }
+        actionBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          itemAction.onSelect(item);
+        });
+        // Keep Enter/Space from also toggling the card
+        actionBtn.addEventListener('keydown', (e) => e.stopPropagation());
+        wrapper.appendChild(actionBtn);
+      }
+      
       // Event listeners
       wrapper.addEventListener('click', (e) => {
         // Check if we're clicking an already focused card with a URL
@@ -424,7 +446,7 @@ class MasonryGallery {
     this.container.style.height = `${maxHeight}px`;
   }
   
-  toggleFocus(element, item) {
+  toggleFocus(element, item, { notify = true } = {}) {
     const wasFocused = this.focusedCard === element;
     
     // Remove focus from previously focused card
@@ -445,6 +467,31 @@ class MasonryGallery {
         element.scrollIntoView({ behavior: 'smooth', block: 'center' });
       }, 100);
     }
+    
+    if (notify) this.notifyFocusChange(wasFocused ? null : item);
+  }
+  
+  notifyFocusChange(item) {
+    if (typeof this.options.onFocusChange === 'function') {
+      this.options.onFocusChange(item);
+    }
+  }
+  
+  // Programmatic focus (e.g. from a #gallery/<id> route); does not notify
+  focusItemById(id) {
+    const item = this.items.find(i => String(i.id) === String(id));
+    const element = item && this.container.querySelector(`[data-key="${item.id}"]`);
+    if (!element) return false;
+    if (this.focusedCard !== element) {
+      this.toggleFocus(element, item, { notify: false });
+    }
+    return true;
+  }
+  
+  clearFocus() {
+    if (!this.focusedCard) return;
+    this.unfocusCard(this.focusedCard);
+    this.focusedCard = null;
   }
   
   focusCard(element, item) {
@@ -519,12 +566,32 @@ class MasonryGallery {
     }, 200);
   }
   
+  // Pause videos while the gallery is hidden, remembering which were playing
+  pauseMedia() {
+    this.container.querySelectorAll('video').forEach(video => {
+      video.dataset.wasPlaying = String(!video.paused);
+      video.pause();
+    });
+  }
+  
+  resumeMedia() {
+    this.container.querySelectorAll('video').forEach(video => {
+      if (video.dataset.wasPlaying === 'true') {
+        video.play().catch(() => {});
+      }
+      delete video.dataset.wasPlaying;
+    });
+  }
+  
   initClickOutside() {
+    // Only clicks within the gallery's own section count; nav clicks that
+    // switch tabs must not turn into a gallery navigation
+    const scope = this.container.closest('section') || document.body;
     document.addEventListener('click', (e) => {
       const insideCard = e.target.closest('.masonry-item-wrapper');
-      if (this.focusedCard && !insideCard) {
-        this.unfocusCard(this.focusedCard);
-        this.focusedCard = null;
+      if (this.focusedCard && !insideCard && scope.contains(e.target)) {
+        this.clearFocus();
+        this.notifyFocusChange(null);
       }
     });
   }
@@ -545,6 +612,8 @@ class MasonryGallery {
 const GalleryManager = {
   gallery: null,
   initialized: false,
+  // Resolves once media is preloaded and the grid has rendered
+  ready: null,
   
   init() {
     const container = document.querySelector('#masonry-gallery');
@@ -763,17 +832,91 @@ const GalleryManager = {
       scaleOnHover: true,
       hoverScale: 0.98,
       blurToFocus: true,
-      colorShiftOnHover: false
+      colorShiftOnHover: false,
+      itemAction: {
+        label: 'Commission something like this',
+        onSelect: (item) => this.requestInquiry(item)
+      },
+      // Keep #gallery/<id> in sync so focused items are linkable and back/forward works
+      onFocusChange: (item) => {
+        // Ignore outside clicks while another tab is showing
+        if (!window.TabRouter || window.TabRouter.current() !== 'gallery') return;
+        window.TabRouter.navigate(item ? `gallery/${item.id}` : 'gallery');
+      }
     };
     
     this.gallery = new MasonryGallery(container, options);
-    this.gallery.init(items);
+    this.ready = this.gallery.init(items);
     this.gallery.initClickOutside();
     this.initialized = true;
     
     console.log('🎨 Masonry Gallery Initialized');
   },
   
+  // Apply a #gallery/<id> sub-path: focus that item, or clear focus for #gallery
+  async showRoute(path) {
+    this.init();
+    if (!this.ready) return;
+    await this.ready;
+    
+    // Preloading can take a while; by now the visitor may have moved on, and
+    // another tab's meta mustn't be overwritten
+    const router = window.TabRouter;
+    if (router && (router.current() !== 'gallery' || router.currentPath() !== path)) return;
+    
+    const [id] = path.split('/');
+    if (!id) {
+      this.gallery.clearFocus();
+    } else if (!this.gallery.focusItemById(id)) {
+      console.log(`Gallery Manager: No item with id ${id}`);
+    } else if (router) {
+      const item = this.gallery.items.find(i => String(i.id) === id);
+      router.setMeta({
+        title: `${item.caption || 'Artwork'} | Gallery | Joslynn Losee`,
+        description: item.caption ? `${item.caption} by Joslynn Losee.` : undefined,
+        image: item.img
+      });
+    }
+  },
+  
+  // Hand the piece to the contact form (FormSubmission.js listens)
+  requestInquiry(item) {
+    const caption = item.caption || 'this piece';
+    const page = `${window.location.origin}${window.location.pathname}`;
+    document.dispatchEvent(new CustomEvent('inquiry:prefill', {
+      detail: {
+        kind: 'gallery',
+        id: String(item.id),
+        title: caption,
+        image: item.img || '',
+        url: `${page}#gallery/${item.id}`,
+        commissionType: this.commissionTypeFor(item),
+        message: `Hi! I'd love something like "${caption}". `
+      }
+    }));
+  },
+  
+  // Best guess from the caption; the visitor can change it on the form
+  commissionTypeFor(item) {
+    const caption = (item.caption || '').toLowerCase();
+    if (caption.includes('logo')) return 'logo';
+    if (caption.includes('wine label')) return 'wine-label';
+    return 'custom';
+  },
+  
+  // Router lifecycle: build lazily on first visit, pause media while away
+  enter() {
+    if (!this.initialized) {
+      this.init();
+      return;
+    }
+    if (this.gallery) this.gallery.resumeMedia();
+  },
+  
+  leave() {
+    if (this.gallery) this.gallery.pauseMedia();
+  },
+  
   checkAndInit() {
     // Check if gallery tab is active
     const galleryTab = document.getElementById('tab-gallery');
@@ -789,35 +932,15 @@ const GalleryManager = {
   }
 };
 
-// Initialize when DOM is ready or when gallery tab is clicked
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    GalleryManager.checkAndInit();
-    
-    // Listen for tab changes
-    const galleryTab = document.getElementById('tab-gallery');
-    if (galleryTab) {
-      galleryTab.addEventListener('change', () => {
-        if (galleryTab.checked) {
-          GalleryManager.init();
-        }
-      });
-    }
+if (window.TabRouter) {
+  window.TabRouter.registerTab('gallery', {
+    onEnter: () => GalleryManager.enter(),
+    onLeave: () => GalleryManager.leave(),
+    onRoute: (path) => GalleryManager.showRoute(path)
   });
+} else if (document.readyState === 'loading') {
+  // No router on the page: build as soon as the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => GalleryManager.checkAndInit());
 } else {
   GalleryManager.checkAndInit();
-  
-  // Listen for tab changes
-  const galleryTab = document.getElementById('tab-gallery');
-  if (galleryTab) {
-    galleryTab.addEventListener('change', () => {
-      if (galleryTab.checked) {
-        GalleryManager.init();
-      }
-    });
-  }
 }
-
-
-
-
@@ -1,45 +1,396 @@
+// Tab router - the single registry of tab names, hash parsing and history sync.
+// Loaded synchronously right after the tab radios so it can preselect the tab
+// from the URL hash during parse (avoids a flash of the wrong tab).
+//
+// Routes are "#tab" or "#tab/sub/path" (e.g. #gallery/23, #shop/page/2); the
+// sub-path is handed to the tab's onRoute hooks.
+//
+// Lifecycle: on every tab switch the router emits "leave" then "enter" with
+// { from, to }. Components subscribe per tab via registerTab() or to every
+// switch via on(); use them to lazy-init, pause and resume work.
+//
+// Each tab can carry { title, description, image } for the <title>, meta
+// description, canonical link and og:/twitter: tags; onRoute hooks refine them
+// for a sub-path with setMeta(). Crawlers that don't run JS still see the
+// defaults in index.html.
+//
+// Tab switches animate (View Transitions API, else CSS classes) unless the
+// user prefers reduced motion; focus then moves to the new section's heading.
+//
+// Hashes that match no tab show the "notfound" tab (the URL is left as typed).
+// configure() sets a redirect table for legacy anchors and strict mode, which
+// turns off substring matching (#shopping-bag-policy no longer opens shop).
+//
+// Scroll: each history entry remembers its offset, restored on back/forward;
+// fresh navigation to another tab starts at the top.
 (function () {
-  const TAB_NAMES = ["home", "gallery", "about", "shop", "contact"];
+  // name -> { name, meta, onEnter: [], onLeave: [], onRoute: [] }
+  const tabs = new Map();
+  // "enter" | "leave" -> handlers for every tab
+  const listeners = { enter: [], leave: [] };
+  let current = null;
+  let currentPath = "";
+  let initialized = false;
+
   const idFor = (name) => `tab-${name}`;
+  const DEFAULT_TAB = "home";
+  const NOT_FOUND_TAB = "notfound";
+  // pickTab() result for an in-page anchor outside every tab section
+  const IN_PAGE_ANCHOR = Symbol("in-page anchor");
+
+  const options = { strict: false };
+  // normalized legacy hash -> route string
+  const redirects = new Map();
+  const normalize = (hash) =>
+    String(hash).replace(/^#/, "").split("?")[0].toLowerCase().replace(/\/+$/, "");
 
-  function pickTabFromHash() {
-    const raw = (location.hash || "").replace(/^#/, "").toLowerCase();
-    if (!raw) return "home";
+  function configure(opts = {}) {
+    if (typeof opts.strict === "boolean") options.strict = opts.strict;
+    if (opts.redirects) {
+      Object.entries(opts.redirects).forEach(([from, to]) => {
+        redirects.set(normalize(from), normalize(to));
+      });
+    }
+  }
+
+  // Declare a tab, or attach more hooks to one that already exists.
+  // onEnter/onLeave receive { from, to } with the previous and next tab names;
+  // onRoute receives (path, { tab, path, from }) on enter and on every
+  // sub-path change while the tab stays active.
+  function registerTab(name, opts = {}) {
+    const key = String(name).toLowerCase();
+    let tab = tabs.get(key);
+    if (!tab) {
+      tab = { name: key, meta: {}, onEnter: [], onLeave: [], onRoute: [] };
+      tabs.set(key, tab);
+    }
+    const { onEnter, onLeave, onRoute, title, description, image } = opts;
+    if (title) tab.meta.title = title;
+    if (description) tab.meta.description = description;
+    if (image) tab.meta.image = image;
+    // Late registration: the tab is already showing, so enter it now
+    if (typeof onEnter === "function") {
+      tab.onEnter.push(onEnter);
+      if (current === key) onEnter({ from: null, to: key });
+    }
+    if (typeof onLeave === "function") tab.onLeave.push(onLeave);
+    if (typeof onRoute === "function") {
+      tab.onRoute.push(onRoute);
+      if (current === key) onRoute(currentPath, { tab: key, path: currentPath, from: null });
+    }
+    return key;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Head metadata
+  // ---------------------------------------------------------------------------
+  const META_SELECTORS = {
+    title: ['meta[property="og:title"]', 'meta[name="twitter:title"]'],
+    description: [
+      'meta[name="description"]',
+      'meta[property="og:description"]',
+      'meta[name="twitter:description"]',
+    ],
+    image: ['meta[property="og:image"]', 'meta[name="twitter:image"]'],
+  };
+  // Original head values, restored for anything a route doesn't override
+  const defaultTitle = document.title;
+  const defaultMeta = new Map();
+  Object.values(META_SELECTORS).flat().forEach((selector) => {
+    const el = document.head.querySelector(selector);
+    if (el) defaultMeta.set(el, el.getAttribute("content"));
+  });
+  const canonical = document.head.querySelector('link[rel="canonical"]');
+  const ogUrl = document.head.querySelector('meta[property="og:url"]');
+  const baseUrl = (canonical ? canonical.href : location.href).split("#")[0];
+
+  function applyMeta(meta) {
+    document.title = meta.title || defaultTitle;
+    Object.entries(META_SELECTORS).forEach(([key, selectors]) => {
+      selectors.forEach((selector) => {
+        const el = document.head.querySelector(selector);
+        if (!el) return;
+        let value = meta[key] || defaultMeta.get(el);
+        // Social cards need absolute image URLs
+        if (key === "image" && meta.image) value = new URL(meta.image, baseUrl).href;
+        el.setAttribute("content", value);
+      });
+    });
+    // Home and not-found pages have no route of their own worth pointing at
+    const routed = current && current !== DEFAULT_TAB && current !== NOT_FOUND_TAB;
+    const url = routed ? baseUrl + hashFor(current, currentPath) : baseUrl;
+    if (canonical) canonical.setAttribute("href", url);
+    if (ogUrl) ogUrl.setAttribute("content", url);
+  }
+
+  // Override the active tab's meta for the current sub-path (e.g. a gallery item)
+  function setMeta(meta = {}) {
+    if (!current) return;
+    applyMeta({ ...tabs.get(current).meta, ...meta });
+  }
+
+  // Subscribe to every tab switch; returns an unsubscribe function
+  function on(type, handler) {
+    const list = listeners[type];
+    if (!list || typeof handler !== "function") return () => {};
+    list.push(handler);
+    return () => {
+      const i = list.indexOf(handler);
+      if (i !== -1) list.splice(i, 1);
+    };
+  }
+
+  function runHooks(list, detail) {
+    list.forEach((fn) => {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error("Tab router hook failed:", err);
+      }
+    });
+  }
+
+  // Tab name for the first hash segment, IN_PAGE_ANCHOR, or null when nothing
+  // matches
+  function pickTab(raw) {
+    if (!raw) return DEFAULT_TAB;
     // direct match: #gallery, #about, etc
-    if (TAB_NAMES.includes(raw)) return raw;
+    if (tabs.has(raw)) return raw;
     // allow #tab-gallery
     if (raw.startsWith("tab-")) {
       const n = raw.slice(4);
-      if (TAB_NAMES.includes(n)) return n;
+      if (tabs.has(n)) return n;
+    }
+    // anchor inside a tab section: #contact-heading
+    const target = document.getElementById(raw);
+    const section = target && target.closest("main > section");
+    if (section) {
+      const cls = Array.from(section.classList).find((c) => c.startsWith("tab-"));
+      if (cls && tabs.has(cls.slice(4))) return cls.slice(4);
     }
+    // any other in-page anchor (e.g. the #main skip link) isn't a route
+    if (target) return IN_PAGE_ANCHOR;
     // fuzzy: #gallery-heading, #go-to-gallery, etc
-    for (const n of TAB_NAMES) {
-      if (raw.includes(n)) return n;
+    if (!options.strict) {
+      for (const n of tabs.keys()) {
+        if (n !== NOT_FOUND_TAB && raw.includes(n)) return n;
+      }
     }
-    return "home";
+    return null;
   }
 
+  // "#gallery/23" -> { tab: "gallery", path: "23" }
+  // Unknown routes -> { tab: "notfound", path: "", notFound: true }
+  // In-page anchors (#main) -> the current route, with inPage: true
+  function parseRoute(hash = location.hash, hops = 0) {
+    const raw = normalize(hash || "");
+    const [head, ...rest] = raw.split("/");
+
+    // Redirects: an exact match first, then the first segment (keeping the rest)
+    if (hops < 5) {
+      if (redirects.has(raw)) return parseRoute(redirects.get(raw), hops + 1);
+      if (rest.length && redirects.has(head)) {
+        return parseRoute([redirects.get(head), ...rest].join("/"), hops + 1);
+      }
+    }
+
+    const tab = pickTab(head);
+    if (!tab) return { tab: NOT_FOUND_TAB, path: "", notFound: true };
+    // An in-page anchor leaves whatever is showing as it is
+    if (tab === IN_PAGE_ANCHOR) {
+      return { tab: current || DEFAULT_TAB, path: current ? currentPath : "", inPage: true };
+    }
+    return { tab, path: rest.filter(Boolean).join("/") };
+  }
+
+  const hashFor = (tab, path) => `#${tab}${path ? `/${path}` : ""}`;
+
   function setChecked(id) {
     const input = document.getElementById(id);
     if (!input) return false;
     if (!input.checked) {
       input.checked = true;
-      // inform listeners (e.g., gallery initializer)
-      input.dispatchEvent(new Event("change", { bubbles: true }));
     }
     return true;
   }
 
+  function activate(name, path) {
+    const from = current;
+    // Every unknown hash shares notfound's empty path, so that one always reruns
+    if (from === name && currentPath === path && name !== NOT_FOUND_TAB) return;
+    current = name;
+    currentPath = path;
+    applyMeta(tabs.get(name).meta);
+    if (from !== name) {
+      const detail = { from, to: name };
+      if (from && tabs.has(from)) {
+        runHooks(listeners.leave, detail);
+        runHooks(tabs.get(from).onLeave, detail);
+      }
+      runHooks(tabs.get(name).onEnter, detail);
+      runHooks(listeners.enter, detail);
+    }
+    runHooks(
+      tabs.get(name).onRoute.map((fn) => (detail) => fn(path, detail)),
+      { tab: name, path, from }
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transitions
+  // ---------------------------------------------------------------------------
+  const prefersReducedMotion = () =>
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+  const sectionFor = (name) => document.querySelector(`main > .tab-${name}`);
+
+  // Resolve when el's CSS animation ends, or after fallbackMs if it never runs
+  function afterAnimation(el, fallbackMs) {
+    return new Promise((resolve) => {
+      const finish = () => {
+        el.removeEventListener("animationend", finish);
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(finish, fallbackMs);
+      el.addEventListener("animationend", finish);
+    });
+  }
+
+  // Finishes the in-flight fallback transition immediately (rapid switching)
+  let finishTransition = null;
+  // Bumped by every selectTab(); a switch that has been overtaken drops its
+  // pending swap (view transitions run it later) and its heading focus
+  let switchToken = 0;
+
+  // Animate from one section to the next; swap() checks the radio and fires hooks
+  function transition(from, to, swap) {
+    if (finishTransition) finishTransition();
+    if (!from || prefersReducedMotion()) {
+      swap();
+      return Promise.resolve();
+    }
+
+    if (typeof document.startViewTransition === "function") {
+      return document.startViewTransition(swap).finished.catch(() => {});
+    }
+
+    const oldSection = sectionFor(from);
+    const newSection = sectionFor(to);
+    if (!oldSection || !newSection) {
+      swap();
+      return Promise.resolve();
+    }
+
+    let swapped = false;
+    const doSwap = () => {
+      if (swapped) return;
+      swapped = true;
+      oldSection.classList.remove("tab-leaving");
+      swap();
+      newSection.classList.add("tab-entering");
+    };
+    const cleanup = () => {
+      doSwap();
+      newSection.classList.remove("tab-entering");
+      if (finishTransition === cleanup) finishTransition = null;
+    };
+    finishTransition = cleanup;
+
+    oldSection.classList.add("tab-leaving");
+    return afterAnimation(oldSection, 400)
+      .then(() => {
+        if (swapped) return null;
+        doSwap();
+        return afterAnimation(newSection, 600);
+      })
+      .then(cleanup);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scroll restoration
+  // ---------------------------------------------------------------------------
+  // Offsets live in history.state.scrollY, with a per-route fallback for
+  // entries the router didn't create (e.g. a hash typed into the address bar).
+  const scrollByRoute = new Map();
+  let saveTimer = null;
+  let cancelRestore = null;
+
+  const scrollToY = (y) => window.scrollTo({ top: y, left: 0, behavior: "instant" });
+
+  function saveScroll() {
+    clearTimeout(saveTimer);
+    // Mid-restore offsets are clamped by a still-short page; don't keep them
+    if (cancelRestore) return;
+    const y = window.scrollY;
+    scrollByRoute.set(location.hash, y);
+    try {
+      history.replaceState({ ...(history.state || {}), scrollY: y }, "");
+    } catch (_) {
+      // ignore history errors (e.g., file://)
+    }
+  }
+
+  function savedScroll() {
+    const state = history.state;
+    if (state && typeof state.scrollY === "number") return state.scrollY;
+    return scrollByRoute.get(location.hash);
+  }
+
+  // Scroll to y once the page is tall enough; the masonry grid lays out after
+  // its media loads. Gives up after 3s or as soon as the user scrolls.
+  function restoreScroll(y) {
+    if (cancelRestore) cancelRestore();
+    const started = performance.now();
+    const userEvents = ["wheel", "touchstart", "keydown"];
+    let frame = null;
+    const stop = () => {
+      cancelAnimationFrame(frame);
+      userEvents.forEach((type) => window.removeEventListener(type, stop));
+      if (cancelRestore === stop) cancelRestore = null;
+    };
+    const attempt = () => {
+      const max = document.documentElement.scrollHeight - window.innerHeight;
+      if (max >= y || performance.now() - started > 3000) {
+        stop();
+        scrollToY(Math.min(y, Math.max(max, 0)));
+        return;
+      }
+      frame = requestAnimationFrame(attempt);
+    };
+    userEvents.forEach((type) => window.addEventListener(type, stop, { passive: true }));
+    cancelRestore = stop;
+    attempt();
+  }
+
+  function focusHeading(name) {
+    const section = sectionFor(name);
+    if (!section) return;
+    const heading =
+      document.getElementById(section.getAttribute("aria-labelledby")) ||
+      section.querySelector("h2");
+    if (!heading) return;
+    if (!heading.hasAttribute("tabindex")) heading.setAttribute("tabindex", "-1");
+    heading.focus({ preventScroll: true });
+  }
+
+  // opts.hash keeps a different URL than the tab's own (used for not-found);
+  // opts.restore brings back the entry's saved scroll offset (back/forward)
   function selectTab(name, opts = {}) {
-    const { replace = false, scroll = false } = opts;
-    const ok = setChecked(idFor(name));
-    if (!ok) return;
+    const { replace = false, scroll = false, path = "", restore = false } = opts;
+    const key = String(name).toLowerCase();
+    if (!tabs.has(key) || !document.getElementById(idFor(key))) return;
+    const subPath = String(path).toLowerCase().replace(/^\/+|\/+$/g, "");
 
-    const newHash = `#${name}`;
+    // Update history first so the previous entry keeps its own title
+    const newHash = opts.hash || hashFor(key, subPath);
     try {
       if (replace) {
-        history.replaceState(null, "", newHash);
+        history.replaceState(history.state, "", newHash);
       } else if (location.hash !== newHash) {
+        // Record where we were on the entry we're leaving
+        saveScroll();
         history.pushState(null, "", newHash);
       }
     } catch (_) {
@@ -47,60 +398,262 @@
       location.hash = newHash;
     }
 
-    if (scroll) {
-      // focus section heading when available
-      const heading = document.getElementById(`${name}-heading`);
-      if (heading && typeof heading.focus === "function") heading.focus();
-      const section = document.querySelector(`.tab-${name}`);
-      if (section && typeof section.scrollIntoView === "function") {
+    // Settle an in-flight switch first so `from` is the tab actually showing
+    if (finishTransition) finishTransition();
+    const token = ++switchToken;
+    const from = current;
+    const saved = restore ? savedScroll() : undefined;
+    if (from === key) {
+      activate(key, subPath);
+      if (typeof saved === "number") restoreScroll(saved);
+      return;
+    }
+
+    transition(from, key, () => {
+      if (token !== switchToken) return;
+      setChecked(idFor(key));
+      activate(key, subPath);
+      if (typeof saved === "number") restoreScroll(saved);
+      else if (from) scrollToY(0);
+    }).then(() => {
+      // Skip the initial load and switches that were superseded meanwhile
+      if (!from || token !== switchToken) return;
+      focusHeading(key);
+      const section = sectionFor(key);
+      if (scroll && section && typeof section.scrollIntoView === "function") {
         section.scrollIntoView({ behavior: "smooth", block: "start" });
       }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Main nav as an ARIA tablist
+  // ---------------------------------------------------------------------------
+  // The nav labels become role="tab" with a roving tabindex. Activation is
+  // manual: arrows/Home/End move focus, Enter/Space (or a click) switches.
+  let navTabs = [];
+
+  function syncTablist() {
+    const hasSelected = navTabs.some(({ name }) => name === current);
+    navTabs.forEach(({ name, label }) => {
+      const selected = name === current;
+      label.setAttribute("aria-selected", String(selected));
+      if (hasSelected) label.tabIndex = selected ? 0 : -1;
+    });
+    // Tabs without a nav label (notfound) select none; keep the last selected
+    // label, or the first, reachable with Tab
+    if (!hasSelected && navTabs.length && !navTabs.some(({ label }) => label.tabIndex === 0)) {
+      navTabs[0].label.tabIndex = 0;
     }
   }
 
-  function wireNavLabels() {
-    TAB_NAMES.forEach((name) => {
+  function wireTablist() {
+    navTabs = [];
+    tabs.forEach((_, name) => {
       const label = document.querySelector(`label[for="${idFor(name)}"]`);
-      if (!label) return;
-      label.addEventListener("click", () => {
-        // Let the radio toggle first, then sync the hash
-        setTimeout(() => selectTab(name), 0);
-      });
-      label.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" || e.key === " ") {
-          setTimeout(() => selectTab(name), 0);
-        }
+      const section = sectionFor(name);
+      if (!label || !section) return;
+      navTabs.push({ name, label });
+
+      if (!label.id) label.id = `nav-tab-${name}`;
+      if (!section.id) section.id = `panel-${name}`;
+      label.setAttribute("role", "tab");
+      label.setAttribute("aria-controls", section.id);
+      section.setAttribute("role", "tabpanel");
+      if (label.parentElement && label.parentElement.tagName === "LI") {
+        label.parentElement.setAttribute("role", "presentation");
+      }
+
+      label.addEventListener("click", (e) => {
+        // Keep the label from checking the radio itself so the switch can animate
+        e.preventDefault();
+        selectTab(name);
       });
     });
+    if (!navTabs.length) return;
+
+    const list = navTabs[0].label.closest("ul");
+    if (list) {
+      list.setAttribute("role", "tablist");
+      const nav = list.closest("nav");
+      if (nav && nav.getAttribute("aria-label")) {
+        list.setAttribute("aria-label", nav.getAttribute("aria-label"));
+      }
+      list.addEventListener("keydown", handleTablistKeydown);
+    }
+    syncTablist();
+    on("enter", syncTablist);
+  }
+
+  function handleTablistKeydown(e) {
+    const index = navTabs.findIndex(({ label }) => label === e.target);
+    if (index === -1) return;
+    const last = navTabs.length - 1;
+    let next = null;
+    switch (e.key) {
+      case "ArrowRight":
+        next = index === last ? 0 : index + 1;
+        break;
+      case "ArrowLeft":
+        next = index === 0 ? last : index - 1;
+        break;
+      case "Home":
+        next = 0;
+        break;
+      case "End":
+        next = last;
+        break;
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        selectTab(navTabs[index].name);
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+    navTabs[next].label.focus();
   }
 
   function wireDataTabLinks() {
     document.querySelectorAll("[data-tab-target]").forEach((el) => {
       el.addEventListener("click", (e) => {
+        // A tab name, optionally with a sub-path ("contact/commission")
         const target = (el.getAttribute("data-tab-target") || "").toLowerCase();
-        if (TAB_NAMES.includes(target)) {
+        if (tabs.has(target.split("/")[0])) {
           e.preventDefault();
-          selectTab(target, { scroll: true });
+          navigate(target, { scroll: true });
         }
       });
     });
   }
 
+  // Navigate to a route string such as "gallery/23" or "#shop/page/2"
+  function navigate(route, opts = {}) {
+    const { tab, path } = parseRoute(`#${String(route).replace(/^#/, "")}`);
+    selectTab(tab, { ...opts, path });
+  }
+
+  // Apply the route in location.hash (initial load and back/forward)
+  function syncToHash() {
+    // A pending save belongs to the entry we just left
+    clearTimeout(saveTimer);
+    const next = parseRoute();
+    // Following an in-page anchor isn't a route change: keep the page and the
+    // history entry the browser made for it
+    if (next.inPage && current) return;
+    selectTab(next.tab, {
+      replace: true,
+      scroll: false,
+      restore: true,
+      path: next.path,
+      hash: next.notFound || next.inPage ? location.hash : undefined,
+    });
+  }
+
+  // Check the radio for the hashed tab without firing hooks; runs during parse.
+  // Unknown hashes wait for init(): in-page anchors can't be resolved yet.
+  function preselect() {
+    const route = parseRoute();
+    if (route.notFound) return;
+    const input = document.getElementById(idFor(route.tab));
+    if (input) input.checked = true;
+  }
+
   function init() {
+    if (initialized) return;
+    initialized = true;
+
+    if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+    window.addEventListener(
+      "scroll",
+      () => {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(saveScroll, 150);
+      },
+      { passive: true }
+    );
+
     // Initial selection (support deep links)
-    const initial = pickTabFromHash();
-    selectTab(initial, { replace: true, scroll: false });
+    syncToHash();
 
-    wireNavLabels();
+    wireTablist();
     wireDataTabLinks();
 
     // Back/forward support
-    window.addEventListener("hashchange", () => {
-      const next = pickTabFromHash();
-      selectTab(next, { replace: true, scroll: false });
-    });
+    window.addEventListener("hashchange", syncToHash);
   }
 
+  // ---------------------------------------------------------------------------
+  // Tabs. Adding a section takes:
+  //   - a declaration here
+  //   - in index.html, an <input type="radio" name="tabs" id="tab-x"> beside
+  //     the others, a <section class="tab-x"> in <main>, and a nav label
+  //     unless the tab is off-nav like notfound
+  //   - a "#tab-x:checked ~ main .tab-x" selector in Styles.css's section
+  //     visibility rule: the checked radio, not this script, shows a section
+  // ---------------------------------------------------------------------------
+  registerTab("home", {
+    title: "Joslynn Losee | Artist Gallery & Shop",
+  });
+  registerTab("gallery", {
+    title: "Gallery | Joslynn Losee",
+    description:
+      "Illustrations, paintings, logos and wine labels by Salt Lake City artist Joslynn Losee.",
+  });
+  registerTab("about", {
+    title: "About | Joslynn Losee",
+    description:
+      "Meet Joslynn Losee, a Salt Lake City illustrator and graphic designer creating art since 2019.",
+    image: "https://lh3.googleusercontent.com/d/1t-dOjZJLTpkC2UdUmhvdRNWlfm8wM1pG",
+  });
+  registerTab("shop", {
+    title: "Shop | Joslynn Losee",
+    description:
+      "Custom pet portraits, coloring books, art prints, stickers and bookmarks from the JossDraws Etsy shop.",
+    image: "https://i.etsystatic.com/25958263/r/il/015511/5965017745/il_794xN.5965017745_b06b.jpg",
+  });
+  registerTab("contact", {
+    title: "Contact & Commissions | Joslynn Losee",
+    description:
+      "Get in touch with Joslynn Losee about custom pet portraits, logos, labels and other commissions.",
+  });
+  registerTab(NOT_FOUND_TAB, {
+    title: "Page not found | Joslynn Losee",
+    onRoute: () => {
+      const el = document.querySelector(".notfound-path");
+      if (el) el.textContent = location.hash;
+    },
+  });
+
+  configure({
+    strict: true,
+    // Old campaign and profile links (Etsy, Instagram) -> current routes
+    redirects: {
+      etsy: "shop",
+      instagram: "gallery",
+      portfolio: "gallery",
+      commissions: "contact/commission",
+      "pet-portrait": "shop/custom-pet-portrait",
+      "coloring-book": "shop/bugs-blossoms-coloring-book",
+    },
+  });
+
+  window.TabRouter = {
+    registerTab,
+    configure,
+    on,
+    selectTab,
+    navigate,
+    setMeta,
+    resolve: parseRoute,
+    current: () => current,
+    currentPath: () => currentPath,
+    tabs: () => Array.from(tabs.keys()),
+  };
+
+  preselect();
+
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", init);
   } else {
@@ -303,7 +303,10 @@
 
   // Animation loop
   let firstFrameShown = false;
+  let rafId = null;
+  let running = false;
   function render() {
+    if (!running) return;
     resize();
     // Real elapsed time since last frame
     const now = performance.now() * 0.001; // seconds
@@ -356,10 +359,48 @@
       canvas.classList.add('is-ready');
     }
     
-    requestAnimationFrame(render);
+    rafId = requestAnimationFrame(render);
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    // Skip the time spent paused so the animation resumes where it stopped
+    lastRealTime = performance.now() * 0.001;
+    rafId = requestAnimationFrame(render);
+  }
+
+  function stop() {
+    running = false;
+    if (rafId) cancelAnimationFrame(rafId);
+    rafId = null;
+  }
+
+  // --- Pause when nobody can see the header ---
+  let headerVisible = true;
+  function updateRunning() {
+    if (headerVisible && !document.hidden) start();
+    else stop();
+  }
+
+  document.addEventListener('visibilitychange', updateRunning);
+  if (hoverEl && 'IntersectionObserver' in window) {
+    new IntersectionObserver((entries) => {
+      headerVisible = entries[entries.length - 1].isIntersecting;
+      updateRunning();
+    }).observe(hoverEl);
+  }
+  // A tab switch swaps the page content under the header, so re-measure it
+  // right away instead of waiting for the observer's next callback
+  if (window.TabRouter && hoverEl) {
+    window.TabRouter.on('enter', () => {
+      const rect = hoverEl.getBoundingClientRect();
+      headerVisible = rect.bottom > 0 && rect.top < window.innerHeight;
+      updateRunning();
+    });
   }
   
   // Initial setup
   setupFramebuffer();
-  render();
+  updateRunning();
 })();
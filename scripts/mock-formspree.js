@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// =============================================================================
+// MOCK FORMSPREE SERVER
+// =============================================================================
+// Serves docs/ and answers form posts the way Formspree does, so the contact
+// form can be exercised without the network.
+//
+//   node scripts/mock-formspree.js [port]
+//   open http://localhost:4000/?endpoint=/f/mock#contact
+//
+// The form ID in the endpoint picks the response:
+//   /f/<anything>    200 { ok: true }, or 422 when name/email/message is
+//                    missing or the email is malformed (like Formspree)
+//   /f/invalid       422 with field errors, whatever was sent
+//   /f/error         500
+//   /f/ratelimit     429
+//   /f/slow          200 after 8 seconds
+//   /hook            JSON webhook: 200 { ok: true } for any JSON body
+//                    (use with ?transport=webhook&endpoint=/hook)
+//
+// Every submission is logged to the console.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 4000);
+const ROOT = path.resolve(__dirname, '..', 'docs');
+const SLOW_DELAY = 8000;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.gif': 'image/gif',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// =============================================================================
+// REQUEST PARSING
+// =============================================================================
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Text fields from a multipart body; file parts are reported by filename
+function parseMultipart(body, boundary) {
+  const fields = {};
+  const files = [];
+  const text = body.toString('latin1');
+
+  text.split(`--${boundary}`).forEach(part => {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+
+    const headers = part.slice(0, headerEnd);
+    const name = /name="([^"]*)"/i.exec(headers);
+    if (!name) return;
+
+    const filename = /filename="([^"]*)"/i.exec(headers);
+    if (filename) {
+      files.push(filename[1]);
+      return;
+    }
+
+    const value = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    fields[name[1]] = Buffer.from(value, 'latin1').toString('utf8');
+  });
+
+  return { fields, files };
+}
+
+function parseForm(req, body) {
+  const type = req.headers['content-type'] || '';
+
+  if (type.startsWith('multipart/form-data')) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(type);
+    return boundary ? parseMultipart(body, boundary[1] || boundary[2]) : { fields: {}, files: [] };
+  }
+  if (type.startsWith('application/x-www-form-urlencoded')) {
+    return { fields: Object.fromEntries(new URLSearchParams(body.toString('utf8'))), files: [] };
+  }
+  if (type.startsWith('application/json')) {
+    const fields = JSON.parse(body.toString('utf8') || '{}');
+    // null, arrays and bare values aren't a set of fields
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error('JSON body must be an object');
+    }
+    return { fields, files: [] };
+  }
+  return { fields: {}, files: [] };
+}
+
+// =============================================================================
+// RESPONSES
+// =============================================================================
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(data));
+}
+
+// Formspree's checks, roughly: the fields it complains about most
+function validate(fields) {
+  const errors = [];
+  if (!String(fields.email || '').trim()) {
+    errors.push({ field: 'email', code: 'REQUIRED_FIELD_MISSING', message: 'is required' });
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(fields.email).trim())) {
+    errors.push({ field: 'email', code: 'TYPE_EMAIL', message: 'should be an email' });
+  }
+  if (!String(fields.message || '').trim()) {
+    errors.push({ field: 'message', code: 'REQUIRED_FIELD_EMPTY', message: 'is required' });
+  }
+  return errors;
+}
+
+function respondToForm(res, formId, fields) {
+  switch (formId) {
+    case 'invalid':
+      return sendJson(res, 422, {
+        error: 'Validation errors',
+        errors: [
+          { field: 'email', code: 'TYPE_EMAIL', message: 'should be an email' },
+          { field: 'message', code: 'REQUIRED_FIELD_EMPTY', message: 'is required' }
+        ]
+      });
+    case 'error':
+      return sendJson(res, 500, { error: 'Internal server error' });
+    case 'ratelimit':
+      return sendJson(res, 429, { error: 'Too many submissions, please try again later' });
+    default: {
+      // Formspree accepts honeypot hits but silently drops them
+      if (String(fields._gotcha || '').trim()) return sendJson(res, 200, { ok: true, next: '/thanks' });
+
+      const errors = validate(fields);
+      if (errors.length) return sendJson(res, 422, { error: 'Validation errors', errors });
+      return sendJson(res, 200, { ok: true, next: '/thanks' });
+    }
+  }
+}
+
+async function handleSubmission(req, res, formId) {
+  let parsed;
+  try {
+    parsed = parseForm(req, await readBody(req));
+  } catch (error) {
+    return sendJson(res, 400, { error: `Could not parse body: ${error.message}` });
+  }
+
+  console.log(`\n[${new Date().toLocaleTimeString()}] POST ${req.url}`);
+  Object.entries(parsed.fields).forEach(([key, value]) => console.log(`  ${key}: ${value}`));
+  parsed.files.forEach(name => console.log(`  (file) ${name}`));
+
+  if (formId === null) return sendJson(res, 200, { ok: true });
+  if (formId === 'slow') {
+    setTimeout(() => respondToForm(res, 'mock', parsed.fields), SLOW_DELAY);
+    return;
+  }
+  respondToForm(res, formId, parsed.fields);
+}
+
+// `urlPath` is the request's decoded pathname
+function serveStatic(res, urlPath) {
+  const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+  // Stay inside docs/
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    return res.end('Forbidden');
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Not found');
+    }
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    });
+    res.end(data);
+  });
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+const server = http.createServer((req, res) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // An unparseable target (GET http://[) or bad percent-encoding (/%E0%A4%A)
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Bad request');
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Accept, Content-Type, Authorization'
+    });
+    return res.end();
+  }
+
+  if (req.method === 'POST') {
+    const form = /^\/f\/([\w-]+)\/?$/.exec(pathname);
+    if (!form && pathname !== '/hook') return sendJson(res, 404, { error: 'Form not found' });
+    return handleSubmission(req, res, form ? form[1] : null).catch(error => {
+      console.error(error);
+      if (!res.headersSent) sendJson(res, 500, { error: 'Mock server error' });
+    });
+  }
+
+  if (req.method === 'GET' || req.method === 'HEAD') return serveStatic(res, pathname);
+
+  res.writeHead(405);
+  res.end();
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Formspree listening on http://localhost:${PORT}`);
+  console.log(`Contact form: http://localhost:${PORT}/?endpoint=/f/mock#contact`);
+});